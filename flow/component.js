@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { EffectScope } from '../src/core/observer/reactivity'
 
 declare interface Component {
   // constructor information
@@ -59,6 +60,8 @@ declare interface Component {
   _watcher: Watcher;
   _watchers: Array<Watcher>;
   _computedWatchers: { [key: string]: Watcher };
+  _scope: ?EffectScope;
+  _setupState: ?Object;
   _data: Object;
   _props: Object;
   _events: Object;
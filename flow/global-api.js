@@ -17,6 +17,31 @@ declare interface GlobalAPI {
   filter: (id: string, def?: Function) => Function | void;
 
   observable: <T>(value: T) => T;
+  reactive: <T: Object>(target: T) => T;
+  ref: <T>(value: T) => { value: T };
+  computed: <T>(getter: (() => T) | { get: () => T, set?: (value: T) => void }) => { value: T };
+  watchEffect: (effect: (onCleanup: (fn: Function) => void) => any, options?: { flush?: 'pre' | 'sync' }) => () => void;
+  effectScope: (detached?: boolean) => Object;
+
+  // lifecycle hook registration in setup()
+  onBeforeMount: (fn: Function) => void;
+  onMounted: (fn: Function) => void;
+  onBeforeUpdate: (fn: Function) => void;
+  onUpdated: (fn: Function) => void;
+  onBeforeDestroy: (fn: Function) => void;
+  onDestroyed: (fn: Function) => void;
+  onActivated: (fn: Function) => void;
+  onDeactivated: (fn: Function) => void;
+  onErrorCaptured: (fn: Function) => void;
+  onServerPrefetch: (fn: Function) => void;
+  onRenderTracked: (fn: Function) => void;
+  onRenderTriggered: (fn: Function) => void;
+
+  // web runtime only
+  hydrateIslands?: (
+    components?: { [name: string]: Class<Component> | Object },
+    root?: Document | Element
+  ) => Array<Component>;
 
   // allow dynamic method registration
   [key: string]: any
@@ -8,6 +8,7 @@ declare module 'source-map' {
     setSourceContent(filename: string, content: string): void;
     addMapping(mapping: Object): void;
     toString(): string;
+    toJSON(): Object;
   }
   declare class SourceMapConsumer {
     constructor (map: Object): void;
@@ -33,7 +34,7 @@ declare module 'de-indent' {
 
 declare module 'serialize-javascript' {
   declare var exports: {
-    (input: string, options: { isJSON: boolean }): string
+    (input: any, options: { isJSON: boolean }): string
   }
 }
 
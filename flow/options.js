@@ -24,6 +24,8 @@ declare type ComponentOptions = {
   };
   methods?: { [key: string]: Function };
   watch?: { [key: string]: Function | string };
+  // called by initState, after initProps and before methods and data
+  setup?: (props: Object, ctx: Object) => ?Object;
 
   // DOM
   el?: string | Element;
@@ -31,6 +33,8 @@ declare type ComponentOptions = {
   render: (h: () => VNode) => VNode;
   renderError?: (h: () => VNode, err: Error) => VNode;
   staticRenderFns?: Array<() => VNode>;
+  ssrRender?: (h: () => VNode) => VNode;
+  ssrStaticRenderFns?: Array<() => VNode>;
 
   // lifecycle
   beforeCreate?: Function;
@@ -45,6 +49,9 @@ declare type ComponentOptions = {
   destroyed?: Function;
   errorCaptured?: () => boolean | void;
   serverPrefetch?: Function;
+  renderTracked?: (event: Object) => void;
+  renderTriggered?: (event: Object) => void;
+  serverPlaceholder?: (h: () => VNode) => ?VNode;
 
   // assets
   directives?: { [key: string]: Object };
@@ -70,6 +77,10 @@ declare type ComponentOptions = {
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  serverOnly?: boolean;
+  lazyHydrate?: 'visible' | 'idle' | 'interaction';
+  island?: boolean;
+  head?: Object | () => Object;
 
   // private
   _isComponent?: true;
@@ -80,6 +91,11 @@ declare type ComponentOptions = {
   _componentTag: ?string;
   _scopeId: ?string;
   _base: Class<Component>;
+  // records the scope id of rendered components for critical css
+  _ssrRegisterScope?: (userContext: Object) => void;
+
+  // exposed by vue-loader
+  __file?: string;
 };
 
 declare type PropOptions = {
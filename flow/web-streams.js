@@ -0,0 +1,51 @@
+// WHATWG streams, as used by renderToWebStream and pipeToWritable.
+// The built-in declarations reject sources whose methods ignore their
+// arguments, so the source methods are left untyped.
+
+declare interface ReadableStreamController {
+  desiredSize: number;
+  close(): void;
+  enqueue(chunk: any): void;
+  error(error: any): void;
+}
+
+declare interface ReadableStreamReader {
+  closed: Promise<void>;
+  cancel(reason?: any): Promise<void>;
+  read(): Promise<{ value: any, done: boolean }>;
+  releaseLock(): void;
+}
+
+declare interface UnderlyingSource {
+  start?: Function;
+  pull?: Function;
+  cancel?: Function;
+}
+
+declare class ReadableStream {
+  constructor(
+    underlyingSource?: UnderlyingSource,
+    queuingStrategy?: { highWaterMark?: number, size?: (chunk: any) => number }
+  ): void;
+  locked: boolean;
+  cancel(reason?: any): Promise<void>;
+  getReader(): ReadableStreamReader;
+  pipeTo(dest: WritableStream, options?: Object): Promise<void>;
+}
+
+declare interface WritableStreamWriter {
+  closed: Promise<void>;
+  desiredSize: number;
+  ready: Promise<void>;
+  abort(reason?: any): Promise<void>;
+  close(): Promise<void>;
+  releaseLock(): void;
+  write(chunk: any): Promise<void>;
+}
+
+declare class WritableStream {
+  constructor(underlyingSink?: Object, queuingStrategy?: Object): void;
+  locked: boolean;
+  abort(reason?: any): Promise<void>;
+  getWriter(): WritableStreamWriter;
+}
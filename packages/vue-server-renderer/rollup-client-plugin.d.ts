@@ -0,0 +1,3 @@
+import { RollupClientPlugin } from './types/plugin';
+declare const Plugin: RollupClientPlugin;
+export = Plugin;
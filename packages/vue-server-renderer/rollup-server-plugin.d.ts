@@ -0,0 +1,3 @@
+import { RollupServerPlugin } from './types/plugin';
+declare const Plugin: RollupServerPlugin;
+export = Plugin;
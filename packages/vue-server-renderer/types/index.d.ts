@@ -5,6 +5,8 @@ export declare function createRenderer(options?: RendererOptions): Renderer;
 
 export declare function createBundleRenderer(bundle: string | object, options?: BundleRendererOptions): BundleRenderer;
 
+export declare function createComponentCache(options?: ComponentCacheOptions): ComponentCache;
+
 type RenderCallback = (err: Error | null, html: string) => void;
 
 interface Renderer {
@@ -14,6 +16,11 @@ interface Renderer {
   renderToString(vm: Vue, context: object): Promise<string>;
 
   renderToStream(vm: Vue, context?: object): Readable;
+
+  renderToWebStream(vm: Vue, context?: object): ReadableStream;
+
+  pipeToWritable(vm: Vue, writable: WritableStream): Promise<void>;
+  pipeToWritable(vm: Vue, context: object, writable: WritableStream): Promise<void>;
 }
 
 interface BundleRenderer {
@@ -23,6 +30,13 @@ interface BundleRenderer {
   renderToString(context: object): Promise<string>;
 
   renderToStream(context?: object): Readable;
+
+  renderToWebStream(context?: object): ReadableStream;
+
+  pipeToWritable(writable: WritableStream): Promise<void>;
+  pipeToWritable(context: object, writable: WritableStream): Promise<void>;
+
+  update(bundle?: string | object, clientManifest?: object, template?: string): void;
 }
 
 interface RendererOptions {
@@ -31,6 +45,9 @@ interface RendererOptions {
   shouldPreload?: (file: string, type: string) => boolean;
   shouldPrefetch?: (file: string, type: string) => boolean;
   cache?: RenderCache;
+  profile?: boolean | ((report: RenderProfileEntry, context: object | undefined) => void);
+  timeout?: number;
+  criticalCSS?: CriticalCSSOptions;
   directives?: {
     [key: string]: (vnode: VNode, dir: VNodeDirective) => void
   };
@@ -39,12 +56,75 @@ interface RendererOptions {
 interface BundleRendererOptions extends RendererOptions {
   clientManifest?: object;
   serializer?: (state: object) => string;
-  runInNewContext?: boolean | 'once';
+  runInNewContext?: boolean | 'once' | 'pool';
+  contextPoolSize?: number;
   basedir?: string;
 }
 
+interface CriticalCSSOptions {
+  basedir?: string;
+  readFile?: (file: string) => string;
+}
+
 interface RenderCache {
   get: (key: string, cb?: (res: string) => void) => string | void;
-  set: (key: string, val: string) => void;
+  set: (key: string, val: string, options?: CacheEntryOptions) => void;
   has?: (key: string, cb?: (hit: boolean) => void) => boolean | void;
+  acceptsEntryOptions?: boolean;
+}
+
+interface RenderProfileEntry {
+  type: 'render' | 'component' | 'serverPrefetch' | 'asyncComponent' | 'cache';
+  name: string;
+  start: number;
+  duration: number;
+  children: RenderProfileEntry[];
+  key?: string;
+  hit?: boolean;
+  timedOut?: boolean;
+}
+
+interface CacheEntryOptions {
+  ttl?: number;
+  tags?: string[];
+}
+
+interface ComponentCacheOptions {
+  max?: number;
+  ttl?: number;
+}
+
+interface ComponentCacheStats {
+  hits: number;
+  misses: number;
+  sets: number;
+  evictions: number;
+  invalidations: number;
+  size: number;
+}
+
+interface ComponentCache extends RenderCache {
+  delete(key: string): boolean;
+  invalidate(tags: string | string[]): number;
+  clear(): void;
+  getStats(): ComponentCacheStats;
+  resetStats(): void;
+}
+
+// entries of `context.states`, keyed by window key or json block id
+export interface RenderStateEntry {
+  value: any;
+  type?: 'script' | 'json';
+  stream?: boolean;
+  serializer?: (state: any) => string;
+}
+
+// preload and prefetch links of a render, see `context.getResourceHints()`,
+// `context.renderLinkHeader()` and `context.onResourceHints`
+export interface ResourceHint {
+  rel: 'preload' | 'prefetch';
+  href: string;
+  as?: string;
+  type?: string;
+  crossorigin?: boolean;
 }
@@ -1,4 +1,5 @@
 import { Plugin } from 'webpack';
+import { Plugin as RollupPluginObject } from 'rollup';
 
 interface WebpackPluginOptions {
   filename?: string;
@@ -7,3 +8,25 @@ interface WebpackPluginOptions {
 export interface WebpackPlugin {
   new (options?: WebpackPluginOptions): Plugin;
 }
+
+interface RollupPluginOptions {
+  filename?: string;
+}
+
+interface RollupClientPluginOptions extends RollupPluginOptions {
+  publicPath?: string;
+  /**
+   * Maps a module id to the identifier it registers in
+   * `context._registeredComponents`. Defaults to the scope id
+   * rollup-plugin-vue gives `.vue` files and `hash-sum` of the id otherwise.
+   */
+  moduleIdentifier?: (id: string) => string;
+}
+
+export interface RollupServerPlugin {
+  (options?: RollupPluginOptions): RollupPluginObject;
+}
+
+export interface RollupClientPlugin {
+  (options?: RollupClientPluginOptions): RollupPluginObject;
+}
@@ -0,0 +1,10 @@
+interface StateTransferOptions {
+  // classes whose instances are preserved, by the name used in the payload
+  classes?: Record<string, new (...args: any[]) => any>;
+}
+
+export function createStateSerializer(options?: StateTransferOptions): (state: object) => string;
+
+export function encodeState(state: any, options?: StateTransferOptions): any;
+
+export function reviveState<T = any>(payload: any, options?: StateTransferOptions): T;
@@ -29,6 +29,31 @@ interface CompiledResult<ErrorType> {
   tips: ErrorType[];
 }
 
+interface CompileTemplateOptions {
+  filename?: string;
+  source?: string;
+  start?: number;
+  compilerOptions?: CompilerOptions;
+  ssr?: boolean;
+}
+
+interface CompileTemplateResult extends CompiledResult<ErrorWithRange> {
+  ssrRender?: string;
+  ssrStaticRenderFns?: string[];
+  code: string;
+  map: RawSourceMap;
+}
+
+interface RawSourceMap {
+  version: number;
+  sources: string[];
+  names: string[];
+  sourcesContent?: string[];
+  mappings: string;
+  file?: string;
+  sourceRoot?: string;
+}
+
 interface CompiledResultFunctions {
   render: () => VNode;
   staticRenderFns: (() => VNode)[];
@@ -238,6 +263,11 @@ export function ssrCompile(
 
 export function ssrCompileToFunctions(template: string): CompiledResultFunctions;
 
+export function compileTemplate(
+  template: string,
+  options?: CompileTemplateOptions
+): CompileTemplateResult;
+
 export function parseComponent(
   file: string,
   options?: SFCParserOptions
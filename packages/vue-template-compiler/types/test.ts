@@ -4,6 +4,7 @@ import {
   compileToFunctions,
   ssrCompile,
   ssrCompileToFunctions,
+  compileTemplate,
   parseComponent,
   generateCodeFrame
 } from "./";
@@ -78,6 +79,23 @@ const vm = new Vue({
 const vnode: VNode = compiledFns.render.call(vm);
 
 // check SFC parser
+// check compileTemplate
+const template = compileTemplate("<div>{{ msg }}</div>", {
+  filename: "App.vue",
+  source: "<template><div>{{ msg }}</div></template>",
+  start: 10,
+  compilerOptions: {
+    whitespace: "condense"
+  },
+  ssr: true
+});
+const templateCode: string = template.code;
+const templateMappings: string = template.map.mappings;
+const ssrRender: string | undefined = template.ssrRender;
+if (template.errors.length) {
+  const { msg, start, end } = template.errors[0];
+}
+
 const desc = parseComponent("<template></template>", {
   pad: "space",
   deindent: false
@@ -188,6 +188,23 @@ const builds = {
     format: 'cjs',
     external: Object.keys(require('../packages/vue-server-renderer/package.json').dependencies)
   },
+  'web-server-renderer-rollup-server-plugin': {
+    entry: resolve('server/rollup-plugin/server.js'),
+    dest: resolve('packages/vue-server-renderer/rollup-server-plugin.js'),
+    format: 'cjs',
+    external: Object.keys(require('../packages/vue-server-renderer/package.json').dependencies)
+  },
+  'web-server-renderer-rollup-client-plugin': {
+    entry: resolve('server/rollup-plugin/client.js'),
+    dest: resolve('packages/vue-server-renderer/rollup-client-plugin.js'),
+    format: 'cjs',
+    external: Object.keys(require('../packages/vue-server-renderer/package.json').dependencies)
+  },
+  'web-server-renderer-state': {
+    entry: resolve('server/state-transfer.js'),
+    dest: resolve('packages/vue-server-renderer/state.js'),
+    format: 'cjs'
+  },
   // Weex runtime factory
   'weex-factory': {
     weex: true,
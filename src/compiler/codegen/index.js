@@ -216,7 +216,12 @@ export function genFor (
     '})'
 }
 
-export function genData (el: ASTElement, state: CodegenState): string {
+export function genData (
+  el: ASTElement,
+  state: CodegenState,
+  altGenElement?: Function,
+  altGenNode?: Function
+): string {
   let data = '{'
 
   // directives first.
@@ -269,7 +274,7 @@ export function genData (el: ASTElement, state: CodegenState): string {
   }
   // scoped slots
   if (el.scopedSlots) {
-    data += `${genScopedSlots(el, el.scopedSlots, state)},`
+    data += `${genScopedSlots(el, el.scopedSlots, state, altGenElement, altGenNode)},`
   }
   // component v-model
   if (el.model) {
@@ -360,7 +365,9 @@ function genInlineTemplate (el: ASTElement, state: CodegenState): ?string {
 function genScopedSlots (
   el: ASTElement,
   slots: { [key: string]: ASTElement },
-  state: CodegenState
+  state: CodegenState,
+  altGenElement?: Function,
+  altGenNode?: Function
 ): string {
   // by default scoped slots are considered "stable", this allows child
   // components with only scoped slots to skip forced updates from parent.
@@ -405,7 +412,7 @@ function genScopedSlots (
   }
 
   const generatedSlots = Object.keys(slots)
-    .map(key => genScopedSlot(slots[key], state))
+    .map(key => genScopedSlot(slots[key], state, altGenElement, altGenNode))
     .join(',')
 
   return `scopedSlots:_u([${generatedSlots}]${
@@ -436,24 +443,30 @@ function containsSlotChild (el: ASTNode): boolean {
 
 function genScopedSlot (
   el: ASTElement,
-  state: CodegenState
+  state: CodegenState,
+  altGenElement?: Function,
+  altGenNode?: Function
 ): string {
   const isLegacySyntax = el.attrsMap['slot-scope']
+  const genSelf = (el, state) => genScopedSlot(el, state, altGenElement, altGenNode)
   if (el.if && !el.ifProcessed && !isLegacySyntax) {
-    return genIf(el, state, genScopedSlot, `null`)
+    return genIf(el, state, genSelf, `null`)
   }
   if (el.for && !el.forProcessed) {
-    return genFor(el, state, genScopedSlot)
+    return genFor(el, state, genSelf)
   }
   const slotScope = el.slotScope === emptySlotScopeToken
     ? ``
     : String(el.slotScope)
+  const children = el.tag === 'template'
+    ? genChildren(el, state, false, altGenElement, altGenNode) || 'undefined'
+    : ''
   const fn = `function(${slotScope}){` +
     `return ${el.tag === 'template'
       ? el.if && isLegacySyntax
-        ? `(${el.if})?${genChildren(el, state) || 'undefined'}:undefined`
-        : genChildren(el, state) || 'undefined'
-      : genElement(el, state)
+        ? `(${el.if})?${children}:undefined`
+        : children
+      : (altGenElement || genElement)(el, state)
     }}`
   // reverse proxy v-slot without scope on this.$slots
   const reverseProxy = slotScope ? `` : `,proxy:true`
@@ -543,9 +556,14 @@ export function genComment (comment: ASTText): string {
   return `_e(${JSON.stringify(comment.text)})`
 }
 
-function genSlot (el: ASTElement, state: CodegenState): string {
+export function genSlot (
+  el: ASTElement,
+  state: CodegenState,
+  altGenElement?: Function,
+  altGenNode?: Function
+): string {
   const slotName = el.slotName || '"default"'
-  const children = genChildren(el, state)
+  const children = genChildren(el, state, false, altGenElement, altGenNode)
   let res = `_t(${slotName}${children ? `,${children}` : ''}`
   const attrs = el.attrs || el.dynamicAttrs
     ? genProps((el.attrs || []).concat(el.dynamicAttrs || []).map(attr => ({
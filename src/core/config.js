@@ -7,6 +7,7 @@ import {
 } from 'shared/util'
 
 import { LIFECYCLE_HOOKS } from 'shared/constants'
+import type { HydrationMismatch } from './vdom/helpers/hydration-mismatch'
 
 export type Config = {
   // user
@@ -17,6 +18,8 @@ export type Config = {
   devtools: boolean;
   errorHandler: ?(err: Error, vm: Component, info: string) => void;
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
+  hydrationMismatchHandler: ?(mismatch: HydrationMismatch, vm: ?Component) => void;
+  proxyReactivity: boolean;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
 
@@ -72,6 +75,21 @@ export default ({
    */
   warnHandler: null,
 
+  /**
+   * Handler for hydration mismatches, receives a structured report instead
+   * of the console warnings. Also enables mismatch detection in production.
+   * Reports have no template line or column, only the component path and file.
+   */
+  hydrationMismatchHandler: null,
+
+  /**
+   * Observe arrays and plain objects through a Proxy where supported, so that
+   * index assignments, length changes, and property additions and deletions
+   * are reactive without Vue.set/Vue.delete. Reactive values are then read as
+   * proxies of the raw data. Must be set before any state is observed.
+   */
+  proxyReactivity: false,
+
   /**
    * Ignore certain custom elements
    */
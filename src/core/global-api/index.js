@@ -9,6 +9,27 @@ import {set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
 import { observe } from 'core/observer/index'
+import {
+  reactive,
+  ref,
+  computed,
+  watchEffect,
+  effectScope
+} from '../observer/reactivity'
+import {
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeDestroy,
+  onDestroyed,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onServerPrefetch,
+  onRenderTracked,
+  onRenderTriggered
+} from '../instance/setup'
 
 import {
   warn,
@@ -47,10 +68,31 @@ export function initGlobalAPI(Vue: GlobalAPI) {
 
   // 2.6 explicit observable API
   Vue.observable = < T > (obj: T): T => {
-    observe(obj)
-    return obj
+    const ob = observe(obj)
+    return ob && ob.proxy ? ob.proxy : obj
   }
 
+  // standalone reactivity API, usable without component instances
+  Vue.reactive = reactive
+  Vue.ref = ref
+  Vue.computed = computed
+  Vue.watchEffect = watchEffect
+  Vue.effectScope = effectScope
+
+  // lifecycle hooks registered from the setup() option
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeDestroy = onBeforeDestroy
+  Vue.onDestroyed = onDestroyed
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onErrorCaptured = onErrorCaptured
+  Vue.onServerPrefetch = onServerPrefetch
+  Vue.onRenderTracked = onRenderTracked
+  Vue.onRenderTriggered = onRenderTriggered
+
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
       Vue.options[type + 's'] = Object.create(null)
@@ -167,6 +167,10 @@ export function lifecycleMixin(Vue: Class < Component > ) {
     while (i--) {
       vm._watchers[i].teardown()
     }
+    // stop the effects created in setup()
+    if (vm._scope) {
+      vm._scope.stop()
+    }
     // remove reference from data ob
     // frozen object may not have observer.
     if (vm._data.__ob__) {
@@ -273,13 +277,25 @@ export function mountComponent(
   /**
    *  渲染Watcher中执行updateComponent方法
    */
-  new Watcher(vm, updateComponent, noop, {
+  const watcherOptions: Object = {
     before() {
       if (vm._isMounted && !vm._isDestroyed) {
         callHook(vm, 'beforeUpdate')
       }
     }
-  }, true /* isRenderWatcher */ )
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    // report the dependencies of the render, and the changes causing updates,
+    // to instances that have the hooks or listen to hook events
+    const { renderTracked, renderTriggered } = vm.$options
+    if (renderTracked || vm._hasHookEvent) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (renderTriggered || vm._hasHookEvent) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+  new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */ )
   hydrating = false
 
   // manually mounted instance, call mounted on self
@@ -417,14 +433,14 @@ export function deactivateChildComponent(vm: Component, direct ? : boolean) {
 
 // callHook 函数根据传入的字符串 hook，去拿到 vm.$options[hook] 对应的回调函数数组，
 // 然后遍历执行，执行的时候把 vm 作为函数执行的上下文。
-export function callHook(vm: Component, hook: string) {
+export function callHook(vm: Component, hook: string, args?: Array<any>) {
   // #7573 disable dep collection when invoking lifecycle hooks
   pushTarget()
   const handlers = vm.$options[hook]
   const info = `${hook} hook`
   if (handlers) {
     for (let i = 0, j = handlers.length; i < j; i++) {
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+      invokeWithErrorHandling(handlers[i], vm, args || null, vm, info)
     }
   }
   if (vm._hasHookEvent) {
@@ -0,0 +1,143 @@
+/* @flow */
+
+import { EffectScope, isRef } from '../observer/reactivity'
+import { pushTarget, popTarget } from '../observer/dep'
+
+import {
+  warn,
+  hasOwn,
+  capitalize,
+  isReserved,
+  handleError,
+  isPlainObject
+} from '../util/index'
+
+/**
+ * The instance whose setup() is running, lifecycle hooks registered with
+ * onMounted() and friends are added to it.
+ */
+let currentInstance: ?Component = null
+
+/**
+ * Run the setup() option and expose its returned bindings on the instance.
+ * It is called by initState rather than before it in _init, as setup needs
+ * the resolved props, and methods and data must see the bindings. Refs are
+ * unwrapped, so that templates and options can use them as plain properties.
+ * Methods and data properties using the name of a binding are not exposed.
+ */
+export function initSetup (vm: Component) {
+  const setup = vm.$options.setup
+  if (!setup) {
+    return
+  }
+  // effects created during setup are stopped with the instance
+  const scope = vm._scope = new EffectScope(true)
+  const ctx = createSetupContext(vm)
+  const prevInstance = currentInstance
+  currentInstance = vm
+  // state read during setup must not be tracked by the parent's render
+  pushTarget()
+  let bindings
+  try {
+    bindings = scope.run(() => setup.call(vm, vm._props || {}, ctx))
+  } catch (e) {
+    handleError(e, vm, 'setup function')
+  } finally {
+    popTarget()
+    currentInstance = prevInstance
+  }
+  if (bindings == null) {
+    return
+  }
+  if (!isPlainObject(bindings)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `setup() should return an object of bindings, got ${typeof bindings}.`,
+      vm
+    )
+    return
+  }
+  vm._setupState = bindings
+  const props = vm.$options.props
+  for (const key in bindings) {
+    if (props && hasOwn(props, key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `The setup binding "${key}" is already defined as a prop.`,
+        vm
+      )
+    } else if (isReserved(key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `The setup binding "${key}" is not exposed on the instance. ` +
+        `Avoid names that start with _ or $.`,
+        vm
+      )
+    } else {
+      proxySetupBinding(vm, bindings, key)
+    }
+  }
+}
+
+function proxySetupBinding (vm: Component, bindings: Object, key: string) {
+  Object.defineProperty(vm, key, {
+    enumerable: true,
+    configurable: true,
+    get: () => {
+      const value = bindings[key]
+      return isRef(value) ? value.value : value
+    },
+    set: val => {
+      const value = bindings[key]
+      if (isRef(value) && !isRef(val)) {
+        value.value = val
+      } else {
+        bindings[key] = val
+      }
+    }
+  })
+}
+
+function createSetupContext (vm: Component): Object {
+  // $attrs and $listeners are replaced when the parent updates
+  return {
+    get attrs () {
+      return vm.$attrs
+    },
+    get listeners () {
+      return vm.$listeners
+    },
+    get slots () {
+      return vm.$scopedSlots
+    },
+    emit (event: string, ...args: Array<any>) {
+      vm.$emit(event, ...args)
+    }
+  }
+}
+
+function createLifecycleHook (hook: string) {
+  return (fn: Function) => {
+    const vm = currentInstance
+    if (!vm) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `on${capitalize(hook)}() must be called synchronously ` +
+        `during the execution of setup().`
+      )
+      return
+    }
+    // the handlers array may be shared with the component options
+    const handlers = vm.$options[hook]
+    vm.$options[hook] = handlers ? handlers.concat(fn) : [fn]
+  }
+}
+
+export const onBeforeMount = createLifecycleHook('beforeMount')
+export const onMounted = createLifecycleHook('mounted')
+export const onBeforeUpdate = createLifecycleHook('beforeUpdate')
+export const onUpdated = createLifecycleHook('updated')
+export const onBeforeDestroy = createLifecycleHook('beforeDestroy')
+export const onDestroyed = createLifecycleHook('destroyed')
+export const onActivated = createLifecycleHook('activated')
+export const onDeactivated = createLifecycleHook('deactivated')
+export const onErrorCaptured = createLifecycleHook('errorCaptured')
+export const onServerPrefetch = createLifecycleHook('serverPrefetch')
+export const onRenderTracked = createLifecycleHook('renderTracked')
+export const onRenderTriggered = createLifecycleHook('renderTriggered')
@@ -4,6 +4,7 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import Dep, { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { initSetup } from './setup'
 
 import {
   set,
@@ -58,6 +59,7 @@ export function initState(vm: Component) {
   vm._watchers = []
   const opts = vm.$options
   if (opts.props) initProps(vm, opts.props)
+  initSetup(vm)
   if (opts.methods) initMethods(vm, opts.methods)
     // data赋值给 vm._data
   if (opts.data) {
@@ -154,6 +156,7 @@ function initData(vm: Component) {
   const keys = Object.keys(data)
   const props = vm.$options.props
   const methods = vm.$options.methods
+  const setupState = vm._setupState
   let i = keys.length
   while (i--) {
     const key = keys[i]
@@ -171,6 +174,11 @@ function initData(vm: Component) {
         `Use prop default value instead.`,
         vm
       )
+    } else if (setupState && hasOwn(setupState, key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `The data property "${key}" is already defined as a setup binding.`,
+        vm
+      )
     } else if (!isReserved(key)) {
       proxy(vm, `_data`, key)
     }
@@ -325,6 +333,7 @@ function createGetterInvoker(fn) {
 
 function initMethods(vm: Component, methods: Object) {
   const props = vm.$options.props
+  const setupState = vm._setupState
   for (const key in methods) {
     if (process.env.NODE_ENV !== 'production') {
       if (typeof methods[key] !== 'function') {
@@ -347,6 +356,14 @@ function initMethods(vm: Component, methods: Object) {
         )
       }
     }
+    // the setup binding keeps the name, assigning would write through it
+    if (setupState && hasOwn(setupState, key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Method "${key}" has already been defined as a setup binding.`,
+        vm
+      )
+      continue
+    }
     vm[key] = typeof methods[key] !== 'function' ? noop : bind(methods[key], vm)
   }
 }
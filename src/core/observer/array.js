@@ -4,6 +4,7 @@
  */
 
 import { def } from '../util/index'
+import { toRaw } from './index'
 
 const arrayProto = Array.prototype
 export const arrayMethods = Object.create(arrayProto)
@@ -25,8 +26,14 @@ methodsToPatch.forEach(function (method) {
   // cache original method
   const original = arrayProto[method]
   def(arrayMethods, method, function mutator (...args) {
-    const result = original.apply(this, args)
     const ob = this.__ob__
+    if (ob.proxy) {
+      // values read through reactive proxies are stored raw
+      args = args.map(toRaw)
+    }
+    // mutate the raw array when called on its reactive proxy, so that the
+    // change is only notified once
+    const result = original.apply(ob.value, args)
     let inserted
     switch (method) {
       case 'push':
@@ -39,7 +46,15 @@ methodsToPatch.forEach(function (method) {
     }
     if (inserted) ob.observeArray(inserted)
     // notify change
-    ob.dep.notify()
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({
+        target: this,
+        type: 'array mutation',
+        key: method
+      })
+    } else {
+      ob.dep.notify()
+    }
     return result
   })
 })
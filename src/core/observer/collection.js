@@ -0,0 +1,163 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on collection prototypes
+ */
+
+import Dep from './dep'
+import { def, toRawType } from '../util/index'
+
+const readMethods = ['get', 'has', 'forEach', 'keys', 'values', 'entries']
+if (typeof Symbol !== 'undefined' && Symbol.iterator) {
+  readMethods.push(Symbol.iterator)
+}
+
+/**
+ * Instrumented prototypes of the native collections, by type. Only instances
+ * of the native constructors are observed: subclasses may rely on their own
+ * prototype and are left as is.
+ */
+export const collectionMethods = {}
+
+if (typeof Map !== 'undefined') instrument('Map', Map.prototype)
+if (typeof Set !== 'undefined') instrument('Set', Set.prototype)
+if (typeof WeakMap !== 'undefined') instrument('WeakMap', WeakMap.prototype)
+if (typeof WeakSet !== 'undefined') instrument('WeakSet', WeakSet.prototype)
+
+/**
+ * Check if a value is a native Map, Set, WeakMap or WeakSet, whether it is
+ * already observed or not.
+ */
+export function isCollection (value) {
+  const methods = collectionMethods[toRawType(value)]
+  if (!methods) {
+    return false
+  }
+  const proto = Object.getPrototypeOf(value)
+  return proto === methods || proto === Object.getPrototypeOf(methods)
+}
+
+/**
+ * Intercept the reads to collect the collection as a dependency, and the
+ * mutations to emit events. Values are observed when they are inserted.
+ */
+function instrument (type, proto) {
+  const methods = collectionMethods[type] = Object.create(proto)
+  const { has, get, forEach } = proto
+
+  readMethods.forEach(method => {
+    const original = proto[method]
+    if (!original) return
+    def(methods, method, function reader (...args) {
+      const result = original.apply(this, args)
+      if (Dep.target) {
+        if (method === 'get' || method === 'has') {
+          track(this, method, args[0])
+        } else {
+          track(this, 'iterate')
+        }
+        if (method === 'get') {
+          dependValue(result)
+        } else if (method !== 'has') {
+          forEach.call(this, dependValue)
+        }
+      }
+      return result
+    })
+  })
+
+  const size = Object.getOwnPropertyDescriptor(proto, 'size')
+  if (size) {
+    Object.defineProperty(methods, 'size', {
+      configurable: true,
+      get () {
+        if (Dep.target) {
+          track(this, 'iterate')
+        }
+        return size.get.call(this)
+      }
+    })
+  }
+
+  if (proto.set) {
+    const original = proto.set
+    def(methods, 'set', function set (key, value) {
+      const hadKey = has.call(this, key)
+      const oldValue = get.call(this, key)
+      const result = original.call(this, key, value)
+      /* eslint-disable no-self-compare */
+      if (!hadKey || !(value === oldValue || (value !== value && oldValue !== oldValue))) {
+        this.__ob__.observeArray([value])
+        trigger(this, hadKey ? 'set' : 'add', key, value, oldValue)
+      }
+      /* eslint-enable no-self-compare */
+      return result
+    })
+  }
+
+  if (proto.add) {
+    const original = proto.add
+    def(methods, 'add', function add (value) {
+      const hadValue = has.call(this, value)
+      const result = original.call(this, value)
+      if (!hadValue) {
+        this.__ob__.observeArray([value])
+        trigger(this, 'add', value, value)
+      }
+      return result
+    })
+  }
+
+  const originalDelete = proto.delete
+  def(methods, 'delete', function del (key) {
+    const result = originalDelete.call(this, key)
+    if (result) {
+      trigger(this, 'delete', key)
+    }
+    return result
+  })
+
+  if (proto.clear) {
+    const original = proto.clear
+    def(methods, 'clear', function clear () {
+      const hadEntries = size.get.call(this) > 0
+      const result = original.call(this)
+      if (hadEntries) {
+        trigger(this, 'clear')
+      }
+      return result
+    })
+  }
+}
+
+function track (collection, type, key) {
+  const dep = collection.__ob__.dep
+  if (process.env.NODE_ENV !== 'production') {
+    dep.depend({ target: collection, type, key })
+  } else {
+    dep.depend()
+  }
+}
+
+function trigger (collection, type, key, newValue, oldValue) {
+  const dep = collection.__ob__.dep
+  if (process.env.NODE_ENV !== 'production') {
+    dep.notify({ target: collection, type, key, newValue, oldValue })
+  } else {
+    dep.notify()
+  }
+}
+
+/**
+ * Collect dependencies on the values read from a collection, since
+ * mutations of nested arrays and collections are only notified on
+ * their own observer.
+ */
+function dependValue (value) {
+  const ob = value && value.__ob__
+  if (ob) {
+    ob.dep.depend()
+    if (Array.isArray(value)) {
+      value.forEach(dependValue)
+    }
+  }
+}
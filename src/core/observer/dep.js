@@ -1,11 +1,27 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 import config from '../config'
 
 let uid = 0
 
+/**
+ * What a dep is tracked or triggered for, reported to the onTrack and
+ * onTrigger debug hooks of watchers. Only built in development.
+ */
+export type DebuggerEventExtraInfo = {
+  target: Object;
+  type: 'get' | 'has' | 'iterate' | 'set' | 'add' | 'delete' | 'clear' | 'array mutation';
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+};
+
+export type DebuggerEvent = {
+  effect: Watcher;
+} & DebuggerEventExtraInfo;
+
 /**
  * 建立响应式数据和watcher之间的桥梁
  * 一个静态属性 target，这是一个全局唯一 Watcher，因为在同一时间只能有一个全局的 Watcher 被计算，
@@ -32,16 +48,22 @@ export default class Dep {
     remove(this.subs, sub)
   }
 
-  depend() {
-      if (Dep.target) {
-        Dep.target.addDep(this)
+  depend(info?: DebuggerEventExtraInfo) {
+      const target = Dep.target
+      if (target) {
+        const added = target.addDep(this)
+        // a dep read again during the same evaluation is reported once
+        if (process.env.NODE_ENV !== 'production' && info && added) {
+          const onTrack = target.onTrack
+          if (onTrack) onTrack(extend({ effect: target }, info))
+        }
       }
     }
     /**
      * 遍历所有的 subs，也就是 Watcher 的实例数组，
      * 然后调用每一个 watcher 的 update 方法
      */
-  notify() {
+  notify(info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     if (process.env.NODE_ENV !== 'production' && !config.async) {
@@ -51,7 +73,12 @@ export default class Dep {
       subs.sort((a, b) => a.id - b.id)
     }
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      const sub = subs[i]
+      if (process.env.NODE_ENV !== 'production' && info) {
+        const onTrigger = sub.onTrigger
+        if (onTrigger) onTrigger(extend({ effect: sub }, info))
+      }
+      sub.update()
     }
   }
 }
@@ -1,18 +1,22 @@
 /* @flow */
 
 import Dep from './dep'
+import config from '../config'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { collectionMethods, isCollection } from './collection'
 import {
   def,
   warn,
   hasOwn,
   hasProto,
+  hasProxy,
   isObject,
   isPlainObject,
   isPrimitive,
   isUndef,
   isValidArrayIndex,
+  toRawType,
   isServerRendering
 } from '../util/index'
 
@@ -38,6 +42,7 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
+  proxy: any; // reactive proxy of the value with config.proxyReactivity
 
   constructor(value: any) {
     this.value = value
@@ -56,9 +61,17 @@ export class Observer {
         copyAugment(value, arrayMethods, arrayKeys) // 通过 def，也就是 Object.defineProperty 去定义它自身的属性值。
       }
       this.observeArray(value) // 遍历数组调用-> observe方法 
+    } else if (isCollection(value)) {
+      // entries are observed before the reads are intercepted
+      this.observeCollection(value)
+      protoAugment(value, collectionMethods[toRawType(value)])
+      return
     } else {
       this.walk(value) // 遍历对象属性-> 调用defineReactive方法
     }
+    if (config.proxyReactivity && hasProxy) {
+      this.proxy = new Proxy(value, proxyHandlers)
+    }
   }
 
   /**
@@ -81,6 +94,19 @@ export class Observer {
       observe(items[i])
     }
   }
+
+  /**
+   * Observe the values of a Map or the items of a Set.
+   * Weak collections cannot be enumerated, only the values
+   * inserted after they are observed are.
+   */
+  observeCollection(collection: any) {
+    if (typeof collection.forEach === 'function') {
+      collection.forEach(value => {
+        observe(value)
+      })
+    }
+  }
 }
 
 // helpers
@@ -135,7 +161,7 @@ export function observe(value: any, asRootData: ? boolean): Observer | void {
   } else if (
     shouldObserve && // 默认为true,可以通过toggleObserving方法去改变
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) && // 数组或者可扩展的对象
+    (Array.isArray(value) || isPlainObject(value) || (hasProto && isCollection(value))) && // 数组、集合或者可扩展的对象
     Object.isExtensible(value) &&
     !value._isVue // 不是vue实例
   ) {
@@ -219,7 +245,15 @@ export function defineReactive(
     get: function reactiveGetter() {
       const value = getter ? getter.call(obj) : val
       if (Dep.target) {
-        dep.depend()
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({
+            target: obj,
+            type: 'get',
+            key
+          })
+        } else {
+          dep.depend()
+        }
         if (childOb) {
           childOb.dep.depend()
           if (Array.isArray(value)) {
@@ -227,7 +261,7 @@ export function defineReactive(
           }
         }
       }
-      return value
+      return config.proxyReactivity ? toProxy(value) : value
     },
     // 响应式setter，派发更新
     /**
@@ -239,6 +273,9 @@ export function defineReactive(
      */
     set: function reactiveSetter(newVal) {
       const value = getter ? getter.call(obj) : val
+      if (config.proxyReactivity) {
+        newVal = toRaw(newVal)
+      }
         /* eslint-disable no-self-compare */
       if (newVal === value || (newVal !== newVal && value !== value)) {
         return
@@ -255,7 +292,17 @@ export function defineReactive(
         val = newVal
       }
       childOb = !shallow && observe(newVal) // shallow 为 false 的情况，会对新设置的值变成一个响应式对象
-      dep.notify() // 通知所有的订阅者
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({
+          target: obj,
+          type: 'set',
+          key,
+          newValue: newVal,
+          oldValue: value
+        })
+      } else {
+        dep.notify() // 通知所有的订阅者
+      }
     }
   })
 }
@@ -292,6 +339,9 @@ export function set(target: Array < any > | Object, key: any, val: any): any {
   ) {
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (config.proxyReactivity) {
+    target = toRaw(target)
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.length = Math.max(target.length, key)
     target.splice(key, 1, val)
@@ -314,7 +364,16 @@ export function set(target: Array < any > | Object, key: any, val: any): any {
     return val
   }
   defineReactive(ob.value, key, val)
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({
+      target,
+      type: 'add',
+      key,
+      newValue: val
+    })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -327,6 +386,9 @@ export function del(target: Array < any > | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (config.proxyReactivity) {
+    target = toRaw(target)
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.splice(key, 1)
     return
@@ -346,7 +408,15 @@ export function del(target: Array < any > | Object, key: any) {
   if (!ob) {
     return
   }
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({
+      target,
+      type: 'delete',
+      key
+    })
+  } else {
+    ob.dep.notify()
+  }
 }
 
 /**
@@ -361,4 +431,154 @@ function dependArray(value: Array < any > ) {
       dependArray(e)
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Return the reactive proxy of an observed value, if it has one.
+ */
+function toProxy(value: any): any {
+  const ob = isObject(value) ? value.__ob__ : undefined
+  return ob && ob.proxy ? ob.proxy : value
+}
+
+/**
+ * Return the raw value of a reactive proxy, so that observed data only
+ * contains raw values.
+ */
+export function toRaw(value: any): any {
+  const ob = isObject(value) ? value.__ob__ : undefined
+  return ob && ob.proxy === value ? ob.value : value
+}
+
+function trackProxy(target: any, type: 'get' | 'has' | 'iterate', key?: any) {
+  const dep = target.__ob__.dep
+  if (process.env.NODE_ENV !== 'production') {
+    dep.depend({ target, type, key })
+  } else {
+    dep.depend()
+  }
+}
+
+function triggerProxy(
+  target: any,
+  type: 'set' | 'add' | 'delete',
+  key: any,
+  newValue?: any,
+  oldValue?: any
+) {
+  const dep = target.__ob__.dep
+  if (process.env.NODE_ENV !== 'production') {
+    dep.notify({ target, type, key, newValue, oldValue })
+  } else {
+    dep.notify()
+  }
+}
+
+/**
+ * Array methods comparing items by identity. Items are read as proxies
+ * through the proxy of the array, while callers may hold the raw objects,
+ * so these search the raw array, with the raw arguments if nothing matched.
+ */
+const arrayIdentityMethods = Object.create(null)
+;['indexOf', 'lastIndexOf', 'includes'].forEach(method => {
+  const original: Function = (Array.prototype: any)[method]
+  arrayIdentityMethods[method] = function (...args) {
+    const arr = toRaw(this)
+    if (Dep.target) {
+      trackProxy(arr, 'iterate')
+    }
+    const res = original.apply(arr, args)
+    return res === -1 || res === false
+      ? original.apply(arr, args.map(toRaw))
+      : res
+  }
+})
+
+/**
+ * Traps of the proxies of observed arrays and plain objects. Own properties
+ * of objects keep their reactive getter/setters, the traps handle what
+ * defineProperty cannot intercept: array indexes and length, and properties
+ * that are added or deleted. These are tracked with the observer's dep,
+ * like mutations through array methods and Vue.set/Vue.delete.
+ */
+const proxyHandlers = {
+  get(target: any, key: any, receiver: any): any {
+    if (Array.isArray(target) && typeof key === 'string' && arrayIdentityMethods[key]) {
+      return arrayIdentityMethods[key]
+    }
+    const value = Reflect.get(target, key, receiver)
+    if (
+      Dep.target &&
+      typeof key === 'string' &&
+      key !== '__ob__' &&
+      (Array.isArray(target) || !hasOwn(target, key))
+    ) {
+      trackProxy(target, 'get', key)
+    }
+    return toProxy(value)
+  },
+
+  has(target: any, key: any): boolean {
+    if (Dep.target && typeof key === 'string' && !hasOwn(target, key)) {
+      trackProxy(target, 'has', key)
+    }
+    return Reflect.has(target, key)
+  },
+
+  ownKeys(target: any): Array<any> {
+    if (Dep.target) {
+      trackProxy(target, 'iterate')
+    }
+    return Reflect.ownKeys(target)
+  },
+
+  set(target: any, key: any, value: any, receiver: any): boolean {
+    value = toRaw(value)
+    if (typeof key !== 'string') {
+      return Reflect.set(target, key, value, receiver)
+    }
+    if (Array.isArray(target)) {
+      if (key !== 'length' && !isValidArrayIndex(key)) {
+        return Reflect.set(target, key, value, receiver)
+      }
+      const hadKey = key === 'length' || Number(key) < target.length
+      const oldValue = target[key]
+      const oldLength = target.length
+      target[key] = value
+      /* eslint-disable no-self-compare */
+      if (
+        target.length !== oldLength ||
+        !(value === oldValue || (value !== value && oldValue !== oldValue))
+      ) {
+        if (key !== 'length') {
+          observe(value)
+        }
+        triggerProxy(target, hadKey ? 'set' : 'add', key, value, oldValue)
+      }
+      /* eslint-enable no-self-compare */
+      return true
+    }
+    if (hasOwn(target, key)) {
+      return Reflect.set(target, key, value, receiver)
+    }
+    if (target.__ob__.vmCount) {
+      process.env.NODE_ENV !== 'production' && warn(
+        'Avoid adding reactive properties to a Vue instance or its root $data ' +
+        'at runtime - declare it upfront in the data option.'
+      )
+      return true
+    }
+    defineReactive(target, key, value)
+    triggerProxy(target, 'add', key, value)
+    return true
+  },
+
+  deleteProperty(target: any, key: any): boolean {
+    const hadKey = hasOwn(target, key)
+    const result = Reflect.deleteProperty(target, key)
+    if (hadKey && result && typeof key === 'string') {
+      triggerProxy(target, 'delete', key)
+    }
+    return result
+  }
+}
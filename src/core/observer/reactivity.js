@@ -0,0 +1,231 @@
+/* @flow */
+
+/**
+ * Standalone reactivity API: reactive state, refs, computed values and
+ * effects that do not need a component instance. Everything is built on
+ * observers, deps and watchers created without a vm, so the state can be
+ * shared with components as is.
+ */
+
+import Watcher from './watcher'
+import Dep from './dep'
+import { observe, defineReactive } from './index'
+
+import {
+  def,
+  warn,
+  noop,
+  isObject,
+  handleError,
+  isServerRendering
+} from '../util/index'
+
+export type Ref<T> = { value: T };
+
+export type WatchEffectOptions = {
+  // 'pre' (default) batches the effect with the component updates,
+  // 'sync' runs it as soon as a dependency changes
+  flush?: 'pre' | 'sync';
+};
+
+const RefFlag = '__v_isRef'
+
+let activeEffectScope: ?EffectScope
+
+/**
+ * A scope collecting the computed values, effects and child scopes created
+ * while it runs, so that they can be stopped together.
+ */
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  scopes: Array<EffectScope>;
+  cleanups: Array<Function>;
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.scopes = []
+    this.cleanups = []
+    if (!detached && activeEffectScope) {
+      activeEffectScope.scopes.push(this)
+    }
+  }
+
+  run<T> (fn: () => T): T | void {
+    if (!this.active) {
+      process.env.NODE_ENV !== 'production' && warn(
+        'Cannot run an inactive effect scope.'
+      )
+      return
+    }
+    const prevScope = activeEffectScope
+    activeEffectScope = this
+    try {
+      return fn()
+    } finally {
+      activeEffectScope = prevScope
+    }
+  }
+
+  stop () {
+    if (this.active) {
+      this.active = false
+      let i
+      for (i = 0; i < this.effects.length; i++) {
+        this.effects[i].teardown()
+      }
+      for (i = 0; i < this.scopes.length; i++) {
+        this.scopes[i].stop()
+      }
+      for (i = 0; i < this.cleanups.length; i++) {
+        this.cleanups[i]()
+      }
+      this.effects.length = this.scopes.length = this.cleanups.length = 0
+    }
+  }
+}
+
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+function recordEffect (watcher: Watcher, cleanup?: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.effects.push(watcher)
+    if (cleanup) {
+      activeEffectScope.cleanups.push(cleanup)
+    }
+  }
+}
+
+/**
+ * Make an object reactive in place, like Vue.observable(). Returns its
+ * reactive proxy with config.proxyReactivity.
+ */
+export function reactive<T: Object> (target: T): T {
+  if (process.env.NODE_ENV !== 'production' && !isObject(target)) {
+    warn(`reactive() cannot be called on a primitive value: ${String(target)}`)
+  }
+  const ob = observe(target)
+  return ob && ob.proxy ? ob.proxy : target
+}
+
+export function isRef (value: any): boolean {
+  return !!(value && value[RefFlag] === true)
+}
+
+/**
+ * Wrap a value in a reactive object with a single `value` property.
+ * Objects are made deeply reactive.
+ */
+export function ref<T> (value: T): Ref<T> {
+  if (isRef(value)) {
+    return (value: any)
+  }
+  const res: any = {}
+  def(res, RefFlag, true)
+  defineReactive(res, 'value', value)
+  return res
+}
+
+/**
+ * Create a ref whose value is derived from other reactive state. The getter
+ * is only evaluated when the value is read after its dependencies changed.
+ */
+export function computed<T> (
+  getterOrOptions: (() => T) | { get: () => T, set?: (value: T) => void }
+): Ref<T> {
+  const getter = typeof getterOrOptions === 'function'
+    ? getterOrOptions
+    : getterOrOptions.get
+  const setter = typeof getterOrOptions === 'function'
+    ? undefined
+    : getterOrOptions.set
+
+  const res: any = {}
+  def(res, RefFlag, true)
+  // computed values are not cached during SSR as state is not observed
+  const watcher = isServerRendering()
+    ? null
+    : new Watcher(null, getter, noop, { lazy: true })
+  if (watcher) {
+    recordEffect(watcher)
+  }
+  const descriptor: Object = {
+    enumerable: true,
+    configurable: true,
+    get: function computedGetter () {
+      if (!watcher) {
+        return getter()
+      }
+      if (watcher.dirty) {
+        watcher.evaluate()
+      }
+      if (Dep.target) {
+        watcher.depend()
+      }
+      return watcher.value
+    },
+    set: function computedSetter (value: T) {
+      if (setter) {
+        setter(value)
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn('Write operation failed: computed value is readonly.')
+      }
+    }
+  }
+  Object.defineProperty(res, 'value', descriptor)
+  return res
+}
+
+/**
+ * Run an effect immediately and again whenever its dependencies change.
+ * The effect receives a function registering a cleanup that is called
+ * before the next run and when the effect is stopped.
+ * Returns a function stopping the effect.
+ */
+export function watchEffect (
+  effect: (onCleanup: (fn: Function) => void) => any,
+  options?: WatchEffectOptions
+): () => void {
+  let cleanup: ?Function
+  const onCleanup = (fn: Function) => {
+    cleanup = fn
+  }
+  const runCleanup = () => {
+    if (cleanup) {
+      const fn = cleanup
+      cleanup = null
+      try {
+        fn()
+      } catch (e) {
+        handleError(e, null, 'effect cleanup function')
+      }
+    }
+  }
+
+  if (isServerRendering()) {
+    // state is not observed during SSR, the effect only runs once
+    try {
+      effect(onCleanup)
+    } catch (e) {
+      handleError(e, null, 'effect function')
+    }
+    return runCleanup
+  }
+
+  const watcher = new Watcher(null, () => {
+    runCleanup()
+    return effect(onCleanup)
+  }, noop, {
+    user: true,
+    sync: !!options && options.flush === 'sync'
+  })
+  const stop = () => {
+    watcher.teardown()
+    runCleanup()
+  }
+  recordEffect(watcher, runCleanup)
+  return stop
+}
@@ -149,7 +149,7 @@ function callUpdatedHooks(queue) {
     const watcher = queue[i]
     const vm = watcher.vm
       // 当watcher是渲染watcer（vm._watcher）且vm已经挂载未销毁
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       callHook(vm, 'updated')
     }
   }
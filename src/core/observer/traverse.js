@@ -3,6 +3,7 @@
 import { _Set as Set, isObject } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
+import { isCollection } from './collection'
 
 const seenObjects = new Set()
 
@@ -32,6 +33,11 @@ function _traverse (val: any, seen: SimpleSet) {
   if (isA) {
     i = val.length
     while (i--) _traverse(val[i], seen)
+  } else if (isCollection(val)) {
+    // weak collections cannot be enumerated
+    if (typeof val.forEach === 'function') {
+      val.forEach(item => _traverse(item, seen))
+    }
   } else {
     keys = Object.keys(val)
     i = keys.length
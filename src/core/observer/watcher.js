@@ -15,6 +15,7 @@ import { queueWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
 
 import type { SimpleSet } from '../util/index'
+import type { DebuggerEvent } from './dep'
 
 let uid = 0
 
@@ -33,7 +34,7 @@ let uid = 0
  * isRenderWatcher：true 设置为渲染Watcher 
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component; // null for watchers created by the standalone reactivity API
   expression: string;
   cb: Function;
   id: number;
@@ -48,6 +49,8 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ? Function;
+  onTrack: ? (event: DebuggerEvent) => void;
+  onTrigger: ? (event: DebuggerEvent) => void;
   getter: Function;
   value: any;
 
@@ -61,17 +64,19 @@ export default class Watcher {
    * @param {} isRenderWatcher true:设置为渲染Watcher
    */
   constructor(
-    vm: Component,
+    vm: ?Component,
     expOrFn: string | Function,
     cb: Function,
     options ? : ? Object,
     isRenderWatcher ? : boolean
   ) {
     this.vm = vm
-    if (isRenderWatcher) {
-      vm._watcher = this // 设置为渲染Watcher
+    if (vm) {
+      if (isRenderWatcher) {
+        vm._watcher = this // 设置为渲染Watcher
+      }
+      vm._watchers.push(this)
     }
-    vm._watchers.push(this)
       // options
     if (options) {
       this.deep = !!options.deep
@@ -79,6 +84,10 @@ export default class Watcher {
       this.lazy = !!options.lazy
       this.sync = !!options.sync
       this.before = options.before
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
       this.deep = this.user = this.lazy = this.sync = false
     }
@@ -145,9 +154,10 @@ export default class Watcher {
   }
 
   /**
-   * Add a dependency to this directive.
+   * Add a dependency to this directive. Returns whether the dependency is
+   * new to the current evaluation.
    */
-  addDep(dep: Dep) {
+  addDep(dep: Dep): boolean {
     const id = dep.id
     if (!this.newDepIds.has(id)) {
       this.newDepIds.add(id)
@@ -155,7 +165,9 @@ export default class Watcher {
       if (!this.depIds.has(id)) {
         dep.addSub(this)
       }
+      return true
     }
+    return false
   }
 
   /**
@@ -262,8 +274,9 @@ export default class Watcher {
       // remove self from vm's watcher list
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
-      if (!this.vm._isBeingDestroyed) {
-        remove(this.vm._watchers, this)
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
+        remove(vm._watchers, this)
       }
       let i = this.deps.length
       while (i--) {
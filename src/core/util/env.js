@@ -63,6 +63,10 @@ export const hasSymbol =
   typeof Symbol !== 'undefined' && isNative(Symbol) &&
   typeof Reflect !== 'undefined' && isNative(Reflect.ownKeys)
 
+export const hasProxy =
+  typeof Proxy !== 'undefined' && isNative(Proxy) &&
+  typeof Reflect !== 'undefined' && isNative(Reflect.ownKeys)
+
 let _Set
   /* istanbul ignore if */ // $flow-disable-line
 if (typeof Set !== 'undefined' && isNative(Set)) {
@@ -0,0 +1,146 @@
+/* @flow */
+
+import { isDef } from 'shared/util'
+
+export type HydrationMismatchType = 'node' | 'text' | 'children' | 'innerHTML';
+
+export type HydrationNodeDescriptor = {
+  tag: string;
+  text?: string;
+  html?: string;
+  attrs?: { [key: string]: any };
+  class?: string;
+  style?: { [key: string]: string };
+  children?: number;
+};
+
+// platform helpers normalizing the class and style of the compared nodes,
+// passed to createPatchFunction by the platform with nodeOps and modules
+export type HydrationNormalizers = {
+  vnodeClass: (vnode: VNode) => string;
+  vnodeStyle: (vnode: VNode) => { [key: string]: string };
+  parseStyle: (cssText: string) => { [key: string]: string };
+};
+
+export type HydrationMismatch = {
+  type: HydrationMismatchType;
+  message: string;
+  // component names from the root down to the component that owns the vnode
+  componentPath: Array<string>;
+  // source file of the owning component, when exposed by the build (__file)
+  file: ?string;
+  // described from the vnode. compiled render functions do not keep the
+  // template source range (outputSourceRange) of the elements they create, so
+  // there is no line or column: file and componentPath locate the template
+  expected: HydrationNodeDescriptor;
+  actual: ?HydrationNodeDescriptor;
+  node: ?Node;
+  vnode: VNode;
+};
+
+const messages = {
+  node: 'Server-rendered node does not match the virtual DOM node.',
+  text: 'Server-rendered text does not match the virtual DOM text.',
+  children: 'Server-rendered child nodes do not match the virtual DOM children.',
+  innerHTML: 'Server-rendered innerHTML does not match the virtual DOM innerHTML.'
+}
+
+/**
+ * Build a structured description of a hydration mismatch, so that it can be
+ * reported through config.hydrationMismatchHandler instead of the console.
+ */
+export function createHydrationMismatch (
+  type: HydrationMismatchType,
+  node: ?Node,
+  vnode: VNode,
+  vm: ?Component,
+  normalizers?: HydrationNormalizers
+): HydrationMismatch {
+  const actual = node ? describeNode(node, normalizers) : null
+  if (actual && type === 'innerHTML') {
+    actual.html = (node: any).innerHTML
+  }
+  return {
+    type,
+    message: messages[type],
+    componentPath: getComponentPath(vm),
+    file: vm ? vm.$options.__file : undefined,
+    expected: describeVNode(vnode, normalizers),
+    actual,
+    node,
+    vnode
+  }
+}
+
+function getComponentPath (vm: ?Component): Array<string> {
+  const path = []
+  while (vm) {
+    const options = vm.$options
+    path.unshift(vm.$root === vm
+      ? 'Root'
+      : options.name || options._componentTag || 'Anonymous'
+    )
+    vm = vm.$parent
+  }
+  return path
+}
+
+function describeVNode (
+  vnode: VNode,
+  normalizers?: HydrationNormalizers
+): HydrationNodeDescriptor {
+  if (!isDef(vnode.tag)) {
+    return {
+      tag: vnode.isComment ? '#comment' : '#text',
+      text: vnode.text
+    }
+  }
+  const data = vnode.data
+  const res: HydrationNodeDescriptor = {
+    tag: vnode.tag,
+    attrs: {},
+    class: '',
+    style: {},
+    children: vnode.children ? vnode.children.length : 0
+  }
+  if (!isDef(data)) {
+    return res
+  }
+  res.attrs = data.attrs || {}
+  if (normalizers) {
+    res.class = normalizers.vnodeClass(vnode)
+    res.style = normalizers.vnodeStyle(vnode)
+  }
+  if (data.domProps && isDef(data.domProps.innerHTML)) {
+    res.html = data.domProps.innerHTML
+  }
+  return res
+}
+
+function describeNode (
+  node: Node,
+  normalizers?: HydrationNormalizers
+): HydrationNodeDescriptor {
+  if (node.nodeType !== 1) {
+    return {
+      tag: node.nodeType === 8 ? '#comment' : '#text',
+      text: (node: any).data
+    }
+  }
+  const el: Element = (node: any)
+  const attrs = {}
+  for (let i = 0; i < el.attributes.length; i++) {
+    const { name, value } = el.attributes[i]
+    if (name !== 'class' && name !== 'style') {
+      attrs[name] = value
+    }
+  }
+  const style = el.getAttribute('style') || ''
+  return {
+    tag: el.tagName.toLowerCase(),
+    attrs,
+    class: el.getAttribute('class') || '',
+    style: normalizers ? normalizers.parseStyle(style) : {},
+    children: el.childNodes.length
+  }
+}
@@ -12,11 +12,12 @@
 
 import VNode, { cloneVNode } from './vnode'
 import config from '../config'
-import { SSR_ATTR } from 'shared/constants'
+import { SSR_ATTR, SERVER_ONLY_ATTR } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
 import { isTextInputType } from 'web/util/element'
+import { createHydrationMismatch } from './helpers/hydration-mismatch'
 
 import {
   warn,
@@ -25,7 +26,9 @@ import {
   isTrue,
   makeMap,
   isRegExp,
-  isPrimitive
+  isPrimitive,
+  hasOwn,
+  noop
 } from '../util/index'
 
 export const emptyNode = new VNode('', {}, [])
@@ -72,7 +75,7 @@ export function createPatchFunction(backend) {
   let i, j
   const cbs = {}
 
-  const { modules, nodeOps } = backend
+  const { modules, nodeOps, hydrationTriggers, hydrationNormalizers } = backend
 
   for (i = 0; i < hooks.length; ++i) {
     cbs[hooks[i]] = []
@@ -376,6 +379,13 @@ export function createPatchFunction(backend) {
 
   function invokeDestroyHook(vnode) {
     let i, j
+    // server-only 子树从未激活，没有需要销毁的实例
+    if (isTrue(vnode.isServerOnly)) return
+    // 尚未激活的懒激活组件只需停止监听触发条件
+    if (isDef(vnode.lazyHydration)) {
+      vnode.lazyHydration.teardown()
+      return
+    }
     const data = vnode.data
     if (isDef(data)) {
       if (isDef(i = data.hook) && isDef(i = i.destroy)) i(vnode)
@@ -403,6 +413,11 @@ export function createPatchFunction(backend) {
   }
 
   function removeAndInvokeRemoveHook(vnode, rm) {
+    if (isTrue(vnode.isServerOnly) || isDef(vnode.lazyHydration)) {
+      // 未激活的子树没有 remove 钩子，作为组件根节点时交由外层 rm 移除
+      if (isUndef(rm)) removeNode(vnode.elm)
+      return
+    }
     if (isDef(rm) || isDef(vnode.data)) {
       let i
       const listeners = cbs.remove.length + 1
@@ -556,6 +571,27 @@ export function createPatchFunction(backend) {
       return
     }
 
+    // server-only 子树保持服务端渲染的 DOM 不变，不再参与 patch
+    if (isTrue(oldVnode.isServerOnly)) {
+      vnode.isServerOnly = true
+      return
+    }
+
+    // 懒激活组件在触发之前保持服务端渲染的 DOM，触发后由所属实例重新渲染时激活
+    if (isDef(oldVnode.lazyHydration)) {
+      vnode.lazyHydration = oldVnode.lazyHydration
+      if (vnode.lazyHydration.ready) {
+        if (!hydrate(elm, vnode, insertedVnodeQueue)) {
+          // bail the deferred hydration and replace the server-rendered DOM,
+          // the same as patch() does for the root
+          createElm(vnode, insertedVnodeQueue, nodeOps.parentNode(elm), nodeOps.nextSibling(elm))
+          removeNode(elm)
+        }
+        vnode.lazyHydration = undefined
+      }
+      return
+    }
+
     // reuse element for static trees.
     // note we only do this if the vnode is cloned -
     // if the new node is not cloned it means the render functions have been
@@ -622,6 +658,44 @@ export function createPatchFunction(backend) {
     // deep updates (#7063).
   const isRenderedModule = makeMap('attrs,class,staticClass,staticStyle,key')
 
+  // 组件设置了 lazyHydrate 时，推迟到触发条件满足后再激活：
+  // 在此之前既不创建组件实例，也不改动服务端渲染的 DOM
+  function deferHydration(elm, vnode) {
+    const trigger = vnode.componentOptions.Ctor.options.lazyHydrate
+    if (
+      isUndef(trigger) ||
+      isUndef(hydrationTriggers) ||
+      elm.nodeType !== 1 ||
+      (isDef(vnode.lazyHydration) && vnode.lazyHydration.ready)
+    ) {
+      return false
+    }
+    if (!hasOwn(hydrationTriggers, trigger)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Unknown lazyHydrate trigger "${trigger}", the component is hydrated immediately. ` +
+        `Valid triggers are: ${Object.keys(hydrationTriggers).join(', ')}.`,
+        vnode.context
+      )
+      return false
+    }
+    // 触发时重新渲染正在 patch 的实例，在 patchVnode 中完成激活；
+    // 对于插槽内容还需要重新渲染其所属上下文以生成新的 vnode
+    const owner = activeInstance
+    const context = vnode.context
+    const lazyHydration = vnode.lazyHydration = {
+      ready: false,
+      teardown: noop
+    }
+    lazyHydration.teardown = hydrationTriggers[trigger](elm, () => {
+      if (!lazyHydration.ready) {
+        lazyHydration.ready = true
+        owner.$forceUpdate()
+        if (context !== owner) context.$forceUpdate()
+      }
+    })
+    return true
+  }
+
   // Note: this is a browser-only function so we can assume elms are DOM nodes.
   function hydrate(elm, vnode, insertedVnodeQueue, inVPre) {
     let i
@@ -634,11 +708,22 @@ export function createPatchFunction(backend) {
       return true
     }
     // assert node match
-    if (process.env.NODE_ENV !== 'production') {
+    // 配置了 hydrationMismatchHandler 时生产环境同样进行校验以便上报
+    if (process.env.NODE_ENV !== 'production' || config.hydrationMismatchHandler) {
       if (!assertNodeMatch(elm, vnode, inVPre)) {
+        reportHydrationMismatch('node', elm, vnode)
         return false
       }
     }
+    // 带有 data-server-only 标记的子树直接沿用服务端渲染的 DOM：
+    // 不创建组件实例，不绑定事件，也不继续激活其子节点
+    if (elm.nodeType === 1 && elm.hasAttribute(SERVER_ONLY_ATTR)) {
+      vnode.isServerOnly = true
+      return true
+    }
+    if (isDef(vnode.componentOptions) && deferHydration(elm, vnode)) {
+      return true
+    }
     if (isDef(data)) {
       if (isDef(i = data.hook) && isDef(i = i.init)) i(vnode, true /* hydrating */ )
       if (isDef(i = vnode.componentInstance)) {
@@ -656,10 +741,12 @@ export function createPatchFunction(backend) {
           // v-html and domProps: innerHTML
           if (isDef(i = data) && isDef(i = i.domProps) && isDef(i = i.innerHTML)) {
             if (i !== elm.innerHTML) {
+              reportHydrationMismatch('innerHTML', elm, vnode)
               /* istanbul ignore if */
               if (process.env.NODE_ENV !== 'production' &&
                 typeof console !== 'undefined' &&
-                !hydrationBailed
+                !hydrationBailed &&
+                !config.hydrationMismatchHandler
               ) {
                 hydrationBailed = true
                 console.warn('Parent: ', elm)
@@ -682,10 +769,15 @@ export function createPatchFunction(backend) {
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
             if (!childrenMatch || childNode) {
+              // a child that failed to hydrate has already reported itself
+              if (childrenMatch || !childNode) {
+                reportHydrationMismatch('children', elm, vnode)
+              }
               /* istanbul ignore if */
               if (process.env.NODE_ENV !== 'production' &&
                 typeof console !== 'undefined' &&
-                !hydrationBailed
+                !hydrationBailed &&
+                !config.hydrationMismatchHandler
               ) {
                 hydrationBailed = true
                 console.warn('Parent: ', elm)
@@ -711,11 +803,22 @@ export function createPatchFunction(backend) {
         }
       }
     } else if (elm.data !== vnode.text) {
+      // 文本不一致时直接修正，不会放弃激活
+      reportHydrationMismatch('text', elm, vnode)
       elm.data = vnode.text
     }
     return true
   }
 
+  // 将结构化的不匹配信息交给 config.hydrationMismatchHandler，未配置时不做处理
+  function reportHydrationMismatch(type, node, vnode) {
+    const handler = config.hydrationMismatchHandler
+    if (handler) {
+      const vm = vnode.context || activeInstance
+      handler(createHydrationMismatch(type, node, vnode, vm, hydrationNormalizers), vm)
+    }
+  }
+
   function assertNodeMatch(node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (!isUnknownElement(vnode, inVPre) &&
@@ -23,6 +23,8 @@ export default class VNode {
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  isServerOnly: boolean; // server-rendered subtree skipped by hydration
+  lazyHydration: ?{ ready: boolean; teardown: Function }; // pending lazy hydration
   ssrContext: Object | void;
   fnContext: Component | void; // real context vm for functional nodes
   fnOptions: ?ComponentOptions; // for SSR caching
@@ -62,6 +64,8 @@ export default class VNode {
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
+    this.isServerOnly = false
+    this.lazyHydration = undefined
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
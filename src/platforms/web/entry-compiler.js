@@ -1,6 +1,7 @@
 /* @flow */
 
 export { parseComponent } from 'sfc/parser'
+export { compileTemplate } from 'sfc/compile-template'
 export { compile, compileToFunctions } from './compiler/index'
 export { ssrCompile, ssrCompileToFunctions } from './server/compiler'
 export { generateCodeFrame } from 'compiler/codeframe'
@@ -9,10 +9,14 @@ import { isUnaryTag, canBeLeftOpenTag } from './compiler/util'
 
 import { createRenderer as _createRenderer } from 'server/create-renderer'
 import { createBundleRendererCreator } from 'server/bundle-renderer/create-bundle-renderer'
+import { ComponentCache } from 'server/component-cache'
+import type { ComponentCacheOptions } from 'server/component-cache'
 
 export function createRenderer (options?: Object = {}): {
   renderToString: Function,
-  renderToStream: Function
+  renderToStream: Function,
+  renderToWebStream: Function,
+  pipeToWritable: Function
 } {
   return _createRenderer(extend(extend({}, options), {
     isUnaryTag,
@@ -25,3 +29,9 @@ export function createRenderer (options?: Object = {}): {
 }
 
 export const createBundleRenderer = createBundleRendererCreator(createRenderer)
+
+export function createComponentCache (
+  options?: ComponentCacheOptions
+): ComponentCache {
+  return new ComponentCache(options)
+}
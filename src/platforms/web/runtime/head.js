@@ -0,0 +1,88 @@
+/* @flow */
+
+import { nextTick } from 'core/util/index'
+import { HEAD_ATTR } from 'shared/constants'
+import { resolveHead, mergeHead } from 'web/util/head'
+
+/**
+ * Client side of the `head` option: keeps document.head in sync with the
+ * head of mounted components. Tags rendered by the server carry the same
+ * dedupe keys, so they are taken over after hydration instead of duplicated.
+ */
+
+const instances: Array<Component> = []
+let pending = false
+
+export function setupHead (vm: Component) {
+  instances.push(vm)
+  // resolving the head is reactive: watcher callbacks are already batched by
+  // the scheduler, so update right away when its dependencies change.
+  vm.$watch(() => resolveHead(vm), updateHead)
+  vm.$on('hook:destroyed', () => {
+    instances.splice(instances.indexOf(vm), 1)
+    scheduleHeadUpdate()
+  })
+  scheduleHeadUpdate()
+}
+
+function scheduleHeadUpdate () {
+  if (!pending) {
+    pending = true
+    nextTick(updateHead)
+  }
+}
+
+function updateHead () {
+  pending = false
+  const { title, tags } = mergeHead(instances.map(resolveHead))
+  if (title != null) {
+    document.title = title
+  }
+  const head: any = document.head
+  const existing = {}
+  const els = head.querySelectorAll(`[${HEAD_ATTR}]`)
+  for (let i = 0; i < els.length; i++) {
+    const key = els[i].getAttribute(HEAD_ATTR)
+    if (key !== 'title') {
+      existing[key] = els[i]
+    }
+  }
+  tags.forEach(({ type, key, attrs, innerHTML }) => {
+    let el = existing[key]
+    const isNew = !el || el.tagName.toLowerCase() !== type
+    if (isNew) {
+      el = document.createElement(type)
+      el.setAttribute(HEAD_ATTR, key)
+    } else {
+      delete existing[key]
+      // drop the attributes that are no longer declared
+      for (let i = el.attributes.length - 1; i >= 0; i--) {
+        const name = el.attributes[i].name
+        if (name !== HEAD_ATTR && !(name in attrs)) {
+          el.removeAttribute(name)
+        }
+      }
+    }
+    Object.keys(attrs).forEach(name => {
+      const value = attrs[name]
+      if (value == null || value === false) {
+        el.removeAttribute(name)
+      } else {
+        const str = value === true ? '' : String(value)
+        if (el.getAttribute(name) !== str) {
+          el.setAttribute(name, str)
+        }
+      }
+    })
+    if (innerHTML != null && el.innerHTML !== innerHTML) {
+      el.innerHTML = innerHTML
+    }
+    // scripts run when inserted, so only once they are complete
+    if (isNew) {
+      head.appendChild(el)
+    }
+  })
+  Object.keys(existing).forEach(key => {
+    head.removeChild(existing[key])
+  })
+}
@@ -0,0 +1,64 @@
+/* @flow */
+
+import { noop, nextTick } from 'core/util/index'
+
+/**
+ * Triggers for the `lazyHydrate` component option. Each trigger watches the
+ * server-rendered root element of a component and calls `hydrate` once,
+ * returning a function that stops watching.
+ */
+
+const interactionEvents = ['click', 'focusin', 'touchstart']
+
+export function visible (el: HTMLElement, hydrate: Function): Function {
+  if (typeof IntersectionObserver === 'undefined') {
+    hydrate()
+    return noop
+  }
+  const observer = new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      observer.disconnect()
+      hydrate()
+    }
+  }, {})
+  observer.observe(el)
+  return () => observer.disconnect()
+}
+
+export function idle (el: HTMLElement, hydrate: Function): Function {
+  if (typeof requestIdleCallback !== 'undefined') {
+    const id = requestIdleCallback(hydrate)
+    return () => cancelIdleCallback(id)
+  }
+  const id = setTimeout(hydrate, 1)
+  return () => clearTimeout(id)
+}
+
+export function interaction (el: HTMLElement, hydrate: Function): Function {
+  const teardown = () => {
+    interactionEvents.forEach(event => {
+      el.removeEventListener(event, onEvent, true)
+    })
+  }
+  const onEvent = (e: Event) => {
+    teardown()
+    hydrate()
+    // the component's own listeners are attached by the hydration, which is
+    // flushed asynchronously. a click is stopped and a copy of it is replayed
+    // once they are in place, so that it is only handled once. note the copy
+    // is not trusted (isTrusted is false). touches and focus are left alone:
+    // cancelling them would block scrolling and the click of a tap, and an
+    // untrusted copy would not move the focus anyway.
+    if (e.type === 'click') {
+      e.preventDefault()
+      e.stopPropagation()
+      const target = e.target
+      const Ctor: any = e.constructor
+      nextTick(() => target.dispatchEvent(new Ctor(e.type, e)))
+    }
+  }
+  interactionEvents.forEach(event => {
+    el.addEventListener(event, onEvent, true)
+  })
+  return teardown
+}
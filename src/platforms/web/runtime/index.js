@@ -2,7 +2,7 @@
 
 import Vue from 'core/index'
 import config from 'core/config'
-import { extend, noop } from 'shared/util'
+import { extend, noop, isDef } from 'shared/util'
 import { mountComponent } from 'core/instance/lifecycle'
 import { devtools, inBrowser } from 'core/util/index'
 
@@ -16,6 +16,8 @@ import {
 } from 'web/util/index'
 
 import { patch } from './patch'
+import { hydrateIslands } from './islands'
+import { setupHead } from './head'
 import platformDirectives from './directives/index'
 import platformComponents from './components/index'
 
@@ -39,9 +41,16 @@ Vue.prototype.$mount = function (
   hydrating?: boolean
 ): Component {
   el = el && inBrowser ? query(el) : undefined
-  return mountComponent(this, el, hydrating)
+  mountComponent(this, el, hydrating)
+  if (inBrowser && isDef(this.$options.head)) {
+    setupHead(this)
+  }
+  return this
 }
 
+// partial hydration of server-rendered islands
+Vue.hydrateIslands = hydrateIslands
+
 // devtools global hook
 /* istanbul ignore next */
 if (inBrowser) {
@@ -0,0 +1,44 @@
+/* @flow */
+
+import Vue from 'core/index'
+import { warn } from 'core/util/index'
+import { ISLAND_ATTR, ISLAND_PROPS_ATTR } from 'shared/constants'
+
+/**
+ * Hydrate the interactive islands of a server-rendered page, each as its
+ * own root instance. Everything outside of the islands is left untouched, so
+ * a page can ship only the code of its interactive components.
+ * Islands nested in another island are hydrated by their outer island.
+ */
+export function hydrateIslands (
+  components?: { [name: string]: Class<Component> | Object },
+  root?: Document | Element
+): Array<Component> {
+  root = root || document
+  const islands = root.querySelectorAll(`[${ISLAND_ATTR}]`)
+  const instances = []
+  for (let i = 0; i < islands.length; i++) {
+    const el = islands[i]
+    const parent = el.parentElement
+    if (parent && parent.closest(`[${ISLAND_ATTR}]`)) {
+      continue
+    }
+    const name = String(el.getAttribute(ISLAND_ATTR))
+    let props
+    try {
+      props = JSON.parse(el.getAttribute(ISLAND_PROPS_ATTR) || '{}')
+    } catch (e) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Invalid props for island "${name}": ${e.message}`
+      )
+      continue
+    }
+    // resolve the component by name, from the given components first and
+    // then from the globally registered ones.
+    instances.push(new Vue({
+      components,
+      render: h => h(name, { props })
+    }).$mount(el, true))
+  }
+  return instances
+}
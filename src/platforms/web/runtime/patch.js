@@ -5,10 +5,26 @@ import * as nodeOps from 'web/runtime/node-ops'
 import { createPatchFunction } from 'core/vdom/patch'
 import baseModules from 'core/vdom/modules/index'
 import platformModules from 'web/runtime/modules/index'
+import * as hydrationTriggers from 'web/runtime/hydration-triggers'
+import { genClassForVnode } from 'web/util/class'
+import { getStyle, parseStyleText } from 'web/util/style'
 
 // the directive module should be applied last, after all
 // built-in modules have been applied.
 // 定义了一些模块的钩子函数的实现
 const modules = platformModules.concat(baseModules)
 
-export const patch: Function = createPatchFunction({ nodeOps, modules })
\ No newline at end of file
+// normalize class and style the same way on both sides of a reported
+// hydration mismatch
+const hydrationNormalizers = {
+  vnodeClass: genClassForVnode,
+  vnodeStyle: vnode => getStyle(vnode, true),
+  parseStyle: parseStyleText
+}
+
+export const patch: Function = createPatchFunction({
+  nodeOps,
+  modules,
+  hydrationTriggers,
+  hydrationNormalizers
+})
\ No newline at end of file
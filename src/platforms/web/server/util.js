@@ -55,6 +55,13 @@ function escapeChar (a) {
   return ESC[a] || a
 }
 
+// CSP nonce applied to every script and style injected by the renderer
+export function renderNonceAttr (context: ?Object): string {
+  return context && context.nonce
+    ? ` nonce="${escape(String(context.nonce))}"`
+    : ''
+}
+
 export const noUnitNumericStyleProps = {
   "animation-iteration-count": true,
   "border-image-outset": true,
@@ -0,0 +1,127 @@
+/* @flow */
+
+import { isDef } from 'shared/util'
+
+/**
+ * Shared by the server renderer and the client runtime: resolve the `head`
+ * option of component instances and merge them into the final set of tags.
+ */
+
+export type HeadTag = {
+  key?: string;
+  innerHTML?: string;
+  [attr: string]: any;
+};
+
+export type HeadOptions = {
+  title?: string;
+  meta?: Array<HeadTag>;
+  link?: Array<HeadTag>;
+  script?: Array<HeadTag>;
+};
+
+export type HeadEntry = {
+  depth: number;
+  head: ?HeadOptions;
+};
+
+export type ResolvedHeadTag = {
+  type: 'meta' | 'link' | 'script';
+  key: string;
+  attrs: { [attr: string]: any };
+  innerHTML: ?string;
+};
+
+export type ResolvedHead = {
+  title: ?string;
+  tags: Array<ResolvedHeadTag>;
+};
+
+const tagTypes = ['meta', 'link', 'script']
+const metaKeyAttrs = ['charset', 'name', 'property', 'http-equiv', 'itemprop']
+
+export function resolveHead (vm: Component): HeadEntry {
+  const { head } = vm.$options
+  let depth = 0
+  let parent = vm.$parent
+  while (parent) {
+    depth++
+    parent = parent.$parent
+  }
+  return {
+    depth,
+    head: typeof head === 'function' ? head.call(vm) : head
+  }
+}
+
+/**
+ * Merge head entries so that deeper components win: the deepest title is
+ * used, and tags sharing a key are replaced by the deeper one. Tags are
+ * ordered by component depth, then by the order of the entries.
+ */
+export function mergeHead (entries: Array<HeadEntry>): ResolvedHead {
+  const sorted = entries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => a.entry.depth - b.entry.depth || a.index - b.index)
+  let title
+  const tags: Map<string, ResolvedHeadTag> = new Map()
+  sorted.forEach(({ entry }) => {
+    const head = entry.head
+    if (!head) {
+      return
+    }
+    if (isDef(head.title)) {
+      title = String(head.title)
+    }
+    tagTypes.forEach(type => {
+      const list = head[type]
+      if (!list) {
+        return
+      }
+      list.forEach(tag => {
+        const attrs = {}
+        Object.keys(tag).forEach(attr => {
+          if (attr !== 'key' && attr !== 'innerHTML') {
+            attrs[attr] = tag[attr]
+          }
+        })
+        const key = getTagKey(type, tag)
+        // moving the replaced tag to the end keeps the depth order
+        tags.delete(key)
+        tags.set(key, {
+          type,
+          key,
+          attrs,
+          innerHTML: tag.innerHTML
+        })
+      })
+    })
+  })
+  return {
+    title,
+    tags: Array.from(tags.values())
+  }
+}
+
+function getTagKey (type: string, tag: HeadTag): string {
+  const { key } = tag
+  if (key != null) {
+    return `${type}:${key}`
+  }
+  if (type === 'meta') {
+    for (let i = 0; i < metaKeyAttrs.length; i++) {
+      const attr = metaKeyAttrs[i]
+      if (isDef(tag[attr])) {
+        return attr === 'charset' ? 'meta:charset' : `meta:${attr}:${tag[attr]}`
+      }
+    }
+  } else if (type === 'link' && isDef(tag.href)) {
+    return tag.rel === 'canonical'
+      ? 'link:canonical'
+      : `link:${tag.rel || ''}:${tag.href}`
+  } else if (type === 'script' && isDef(tag.src)) {
+    return `script:${tag.src}`
+  }
+  // identical tags without a natural key are still deduped
+  return `${type}:${JSON.stringify(tag)}`
+}
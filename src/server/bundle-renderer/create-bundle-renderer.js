@@ -1,8 +1,11 @@
 /* @flow */
 
 import { createPromiseCallback } from '../util'
+import { resolveDeadline } from '../render-context'
+import { extend } from 'shared/util'
 import { createBundleRunner } from './create-bundle-runner'
 import type { Renderer, RenderOptions } from '../create-renderer'
+import type { ClientManifest } from '../template-renderer/index'
 import { createSourceMapConsumers, rewriteErrorTrace } from './source-map-support'
 
 const fs = require('fs')
@@ -16,6 +19,7 @@ const INVALID_MSG =
   entry: string;
   files: { [filename: string]: string; };
   maps: { [filename: string]: string; };
+  type?: 'commonjs' | 'module';
 }\n`
 
 // The render bundle can either be a string (single bundled file)
@@ -26,8 +30,68 @@ type RenderBundle = {
   files: { [filename: string]: string; };
   maps: { [filename: string]: string; };
   modules?: { [filename: string]: Array<string> };
+  // files of commonjs bundles are plain node modules, only the default
+  // export of the entry is unwrapped. ES module bundles need node to run
+  // with --experimental-vm-modules.
+  type?: 'commonjs' | 'module';
 };
 
+type LoadedBundle = {
+  entry: string;
+  files: { [filename: string]: string; };
+  maps: Object;
+  basedir?: string;
+  type?: 'commonjs' | 'module';
+};
+
+function loadBundle (
+  bundle: string | RenderBundle,
+  basedir?: string
+): LoadedBundle {
+  let files, entry, maps, type
+
+  // load bundle if given filepath
+  if (
+    typeof bundle === 'string' &&
+    /\.js(on)?$/.test(bundle) &&
+    path.isAbsolute(bundle)
+  ) {
+    if (fs.existsSync(bundle)) {
+      const isJSON = /\.json$/.test(bundle)
+      basedir = basedir || path.dirname(bundle)
+      bundle = fs.readFileSync(bundle, 'utf-8')
+      if (isJSON) {
+        try {
+          bundle = JSON.parse(bundle)
+        } catch (e) {
+          throw new Error(`Invalid JSON bundle file: ${bundle}`)
+        }
+      }
+    } else {
+      throw new Error(`Cannot locate bundle file: ${bundle}`)
+    }
+  }
+
+  if (typeof bundle === 'object') {
+    entry = bundle.entry
+    files = bundle.files
+    basedir = basedir || bundle.basedir
+    maps = createSourceMapConsumers(bundle.maps)
+    if (typeof entry !== 'string' || typeof files !== 'object') {
+      throw new Error(INVALID_MSG)
+    }
+    type = /\.mjs$/.test(entry) ? 'module' : bundle.type
+  } else if (typeof bundle === 'string') {
+    entry = '__vue_ssr_bundle__'
+    files = { '__vue_ssr_bundle__': bundle }
+    maps = {}
+  } else {
+    throw new Error(INVALID_MSG)
+  }
+
+  return { entry, files, maps, basedir, type }
+}
+
 export function createBundleRendererCreator (
   createRenderer: (options?: RenderOptions) => Renderer
 ) {
@@ -35,55 +99,98 @@ export function createBundleRendererCreator (
     bundle: string | RenderBundle,
     rendererOptions?: RenderOptions = {}
   ) {
-    let files, entry, maps
-    let basedir = rendererOptions.basedir
-
-    // load bundle if given filepath
-    if (
-      typeof bundle === 'string' &&
-      /\.js(on)?$/.test(bundle) &&
-      path.isAbsolute(bundle)
-    ) {
-      if (fs.existsSync(bundle)) {
-        const isJSON = /\.json$/.test(bundle)
-        basedir = basedir || path.dirname(bundle)
-        bundle = fs.readFileSync(bundle, 'utf-8')
-        if (isJSON) {
-          try {
-            bundle = JSON.parse(bundle)
-          } catch (e) {
-            throw new Error(`Invalid JSON bundle file: ${bundle}`)
-          }
-        }
-      } else {
-        throw new Error(`Cannot locate bundle file: ${bundle}`)
-      }
+    // compiled scripts are shared by all versions of the bundle, so that
+    // update() only compiles the files that changed. ES module bundles are
+    // compiled for each context by vm.SourceTextModule and don't use it:
+    // all of their files are compiled and evaluated again after an update.
+    const scriptCache = new Map()
+    let options = rendererOptions
+    let loaded = loadBundle(bundle, options.basedir)
+    let renderer = createRenderer(options)
+    let runBundle = createRunner(loaded)
+
+    function createRunner ({ entry, files, basedir, type }: LoadedBundle) {
+      return createBundleRunner(
+        entry,
+        files,
+        basedir,
+        options.runInNewContext,
+        type,
+        scriptCache,
+        options.contextPoolSize
+      )
     }
 
-    if (typeof bundle === 'object') {
-      entry = bundle.entry
-      files = bundle.files
-      basedir = basedir || bundle.basedir
-      maps = createSourceMapConsumers(bundle.maps)
-      if (typeof entry !== 'string' || typeof files !== 'object') {
-        throw new Error(INVALID_MSG)
+    // the render timeout also covers creating the app, which is given the
+    // remaining budget as context.deadline.
+    const { timeout } = rendererOptions
+    function run (runBundle: Function, context?: Object): Promise<any> {
+      const deadline = resolveDeadline(timeout, context)
+      if (deadline == null) {
+        return runBundle(context)
       }
-    } else if (typeof bundle === 'string') {
-      entry = '__vue_ssr_bundle__'
-      files = { '__vue_ssr_bundle__': bundle }
-      maps = {}
-    } else {
-      throw new Error(INVALID_MSG)
+      if (context) {
+        context.deadline = deadline
+      }
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          reject(new Error(
+            `[vue-server-renderer] the bundle did not create the app ` +
+            `before the render deadline.`
+          ))
+        }, Math.max(deadline - Date.now(), 0))
+        runBundle(context).then(app => {
+          clearTimeout(timer)
+          resolve(app)
+        }, err => {
+          clearTimeout(timer)
+          reject(err)
+        })
+      })
     }
 
-    const renderer = createRenderer(rendererOptions)
+    function renderToWebStream (context?: Object): ReadableStream {
+      // the bundle is run asynchronously, so the returned stream relays
+      // the app's render stream once it is available.
+      const { renderer, maps } = getVersion()
+      let reader
+      const onError = err => {
+        rewriteErrorTrace(err, maps)
+        throw err
+      }
+      return new ReadableStream({
+        start () {
+          return run(runBundle, context).then(app => {
+            if (app) {
+              reader = renderer.renderToWebStream(app, context).getReader()
+            }
+          }).catch(onError)
+        },
+        pull (controller) {
+          if (!reader) {
+            return controller.close()
+          }
+          return reader.read().then(({ done, value }) => {
+            if (done) {
+              controller.close()
+            } else {
+              controller.enqueue(value)
+            }
+          }, onError)
+        },
+        cancel (reason) {
+          if (reader) {
+            return reader.cancel(reason)
+          }
+        }
+      })
+    }
 
-    const run = createBundleRunner(
-      entry,
-      files,
-      basedir,
-      rendererOptions.runInNewContext
-    )
+    // renders started before an update keep using the version they started
+    // with, so they finish on the old bundle.
+    function getVersion () {
+      return { renderer, runBundle, maps: loaded.maps }
+    }
 
     return {
       renderToString: (context?: Object, cb: any) => {
@@ -97,7 +204,8 @@ export function createBundleRendererCreator (
           ({ promise, cb } = createPromiseCallback())
         }
 
-        run(context).catch(err => {
+        const { renderer, runBundle, maps } = getVersion()
+        run(runBundle, context).catch(err => {
           rewriteErrorTrace(err, maps)
           cb(err)
         }).then(app => {
@@ -114,7 +222,8 @@ export function createBundleRendererCreator (
 
       renderToStream: (context?: Object) => {
         const res = new PassThrough()
-        run(context).catch(err => {
+        const { renderer, runBundle, maps } = getVersion()
+        run(runBundle, context).catch(err => {
           rewriteErrorTrace(err, maps)
           // avoid emitting synchronously before user can
           // attach error listener
@@ -131,7 +240,7 @@ export function createBundleRendererCreator (
             })
 
             // relay HTMLStream special events
-            if (rendererOptions && rendererOptions.template) {
+            if (options.template) {
               renderStream.on('beforeStart', () => {
                 res.emit('beforeStart')
               })
@@ -145,6 +254,53 @@ export function createBundleRendererCreator (
         })
 
         return res
+      },
+
+      renderToWebStream,
+
+      pipeToWritable (context: any, writable?: WritableStream): Promise<void> {
+        if (writable == null) {
+          writable = context
+          context = undefined
+        }
+        return renderToWebStream(context).pipeTo(writable)
+      },
+
+      // swap in a new bundle, client manifest and/or template, e.g. after a
+      // rebuild in development. Omitted arguments keep their current value.
+      update (
+        newBundle?: string | RenderBundle,
+        clientManifest?: ClientManifest,
+        template?: $PropertyType<RenderOptions, 'template'>
+      ) {
+        let newOptions = options
+        if (clientManifest != null || template != null) {
+          newOptions = extend({}, options)
+          if (clientManifest != null) newOptions.clientManifest = clientManifest
+          if (template != null) newOptions.template = template
+        }
+        // create everything first so that an invalid bundle leaves the
+        // current version in place
+        const newLoaded = newBundle != null
+          ? loadBundle(newBundle, rendererOptions.basedir)
+          : loaded
+        const newRunBundle = newLoaded !== loaded
+          ? createRunner(newLoaded)
+          : runBundle
+        renderer = newOptions !== options
+          ? createRenderer(newOptions)
+          : renderer
+        options = newOptions
+        runBundle = newRunBundle
+        if (newLoaded !== loaded) {
+          // drop the compiled scripts of files that no longer exist
+          scriptCache.forEach((_, file) => {
+            if (!newLoaded.files.hasOwnProperty(file)) {
+              scriptCache.delete(file)
+            }
+          })
+          loaded = newLoaded
+        }
       }
     }
   }
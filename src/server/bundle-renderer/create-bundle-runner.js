@@ -22,21 +22,23 @@ function createSandbox(context) {
   return sandbox
 }
 
-function compileModule(files, basedir, runInNewContext) {
-  const compiledScripts = {}
+function compileModule(files, basedir, runInNewContext, scriptCache = new Map(), isCommonJS) {
   const resolvedModules = {}
 
+  // the cache can be shared with previous versions of the bundle: scripts
+  // are only reused if the code of the file didn't change.
   function getCompiledScript(filename) {
-    if (compiledScripts[filename]) {
-      return compiledScripts[filename]
-    }
     const code = files[filename]
+    const cached = scriptCache.get(filename)
+    if (cached && cached.code === code) {
+      return cached.script
+    }
     const wrapper = NativeModule.wrap(code)
     const script = new vm.Script(wrapper, {
       filename,
       displayErrors: true
     })
-    compiledScripts[filename] = script
+    scriptCache.set(filename, { code, script })
     return script
   }
 
@@ -65,13 +67,105 @@ function compileModule(files, basedir, runInNewContext) {
     }
     compiledWrapper.call(m.exports, m.exports, r, m)
 
-    const res = Object.prototype.hasOwnProperty.call(m.exports, 'default') ?
-      m.exports.default :
-      m.exports
+    const res = isCommonJS ? m.exports : unwrapDefault(m.exports)
     evaluatedFiles[filename] = res
     return res
   }
-  return evaluateModule
+  // files of commonjs bundles (e.g. rollup chunks) require each other's
+  // exports objects like in node, only the entry's default is unwrapped.
+  return isCommonJS ?
+    (filename, sandbox) => unwrapDefault(evaluateModule(filename, sandbox)) :
+    evaluateModule
+}
+
+function unwrapDefault(exports) {
+  return Object.prototype.hasOwnProperty.call(exports, 'default') ?
+    exports.default :
+    exports
+}
+
+// ES module bundles are evaluated with vm.SourceTextModule, which requires
+// node to run with --experimental-vm-modules.
+function compileESModule(files, basedir, runInNewContext) {
+  if (!vm.SourceTextModule) {
+    throw new Error(
+      'ES module server bundles require vm.SourceTextModule, ' +
+      'run node with the --experimental-vm-modules flag.'
+    )
+  }
+
+  // dependencies outside of the bundle are required like in commonjs
+  // bundles, and exposed with their exports as named exports.
+  const resolvedModules = {}
+  function requireExternal(specifier) {
+    const exports = basedir && NativeModule.builtinModules.indexOf(specifier) < 0 ?
+      require(
+        resolvedModules[specifier] ||
+        (resolvedModules[specifier] = resolve.sync(specifier, { basedir }))
+      ) :
+      require(specifier)
+    const ns = { default: exports }
+    if (exports && (typeof exports === 'object' || typeof exports === 'function')) {
+      Object.keys(exports).forEach(key => {
+        if (key !== 'default') {
+          ns[key] = exports[key]
+        }
+      })
+    }
+    return ns
+  }
+
+  // one module map per context, like node's module cache
+  return function evaluateModule(filename, sandbox) {
+    const context = runInNewContext === false ?
+      undefined :
+      vm.createContext(sandbox)
+    const modules = {}
+    const evaluated = {}
+
+    function getModule(specifier, referencingModule) {
+      const file = referencingModule && /^\.\.?\//.test(specifier) ?
+        path.posix.join(path.posix.dirname(referencingModule.identifier), specifier) :
+        path.posix.join('.', specifier)
+      if (modules[file]) {
+        return modules[file]
+      }
+      if (files[file]) {
+        return (modules[file] = Promise.resolve(new vm.SourceTextModule(files[file], {
+          identifier: file,
+          context,
+          importModuleDynamically: (specifier, referencingModule) => {
+            return importModule(specifier, referencingModule)
+          }
+        })))
+      }
+      return (modules[file] = Promise.resolve().then(() => {
+        const ns = requireExternal(specifier)
+        const names = Object.keys(ns)
+        return new vm.SyntheticModule(names, function () {
+          names.forEach(name => this.setExport(name, ns[name]))
+        }, { identifier: specifier, context })
+      }))
+    }
+
+    function importModule(specifier, referencingModule) {
+      return getModule(specifier, referencingModule).then(m => {
+        const id = m.identifier
+        if (!evaluated[id]) {
+          evaluated[id] = Promise.resolve()
+            .then(() => m.status === 'unlinked' && m.link(getModule))
+            .then(() => m.evaluate())
+            .then(() => m)
+        }
+        return evaluated[id]
+      })
+    }
+
+    return importModule(filename).then(m => {
+      const ns = m.namespace
+      return 'default' in ns ? ns.default : ns
+    })
+  }
 }
 
 function deepClone(val) {
@@ -88,16 +182,97 @@ function deepClone(val) {
   }
 }
 
-export function createBundleRunner(entry, files, basedir, runInNewContext) {
-  const evaluate = compileModule(files, basedir, runInNewContext)
-  if (runInNewContext !== false && runInNewContext !== 'once') {
+// vue-style-loader styles imported outside of component lifecycle hooks
+function inheritStyles(initialContext, userContext) {
+  if (initialContext._styles) {
+    userContext._styles = deepClone(initialContext._styles)
+      // #6353 ensure "styles" is exposed even if no styles are injected
+      // in component lifecycles.
+      // the renderStyles fn is exposed by vue-style-loader >= 3.0.3
+    const renderStyles = initialContext._renderStyles
+    if (renderStyles) {
+      Object.defineProperty(userContext, 'styles', {
+        enumerable: true,
+        get() {
+          return renderStyles(userContext._styles)
+        }
+      })
+    }
+  }
+}
+
+export function createBundleRunner(
+  entry,
+  files,
+  basedir,
+  runInNewContext,
+  type,
+  scriptCache,
+  contextPoolSize = 2
+) {
+  const isModule = type === 'module'
+  const evaluate = isModule ?
+    compileESModule(files, basedir, runInNewContext) :
+    compileModule(files, basedir, runInNewContext, scriptCache, type === 'commonjs')
+  if (runInNewContext === 'pool') {
+    // pool mode: the bundle is evaluated ahead of time in fresh contexts,
+    // between renders, and each context serves a single render. Renders are
+    // as isolated as in new context mode, but don't wait on the evaluation.
+    // The evaluation itself still blocks the event loop, one context per
+    // turn of it.
+    const pool = []
+    let filling = false
+    const warmUp = () => {
+      const initialContext = {}
+      const sandbox = createSandbox(initialContext)
+      let res = evaluate(entry, sandbox)
+      if (isModule) {
+        // errors are reported to the render that takes the context
+        res.catch(() => {})
+      } else {
+        res = Promise.resolve(res)
+      }
+      return { sandbox, initialContext, res }
+    }
+    const fill = () => {
+      if (filling || pool.length >= contextPoolSize) {
+        return
+      }
+      filling = true
+      setImmediate(() => {
+        filling = false
+        try {
+          pool.push(warmUp())
+        } catch (e) {
+          // evaluation errors are thrown again by the next render, which
+          // evaluates the bundle on demand.
+          return
+        }
+        fill()
+      })
+    }
+    fill()
+    return (userContext = {}) => new Promise(resolve => {
+      const { sandbox, initialContext, res } = pool.shift() || warmUp()
+      fill()
+      // the context was created before the render: expose the render
+      // context to the bundle from now on.
+      sandbox.__VUE_SSR_CONTEXT__ = userContext
+      userContext._registeredComponents = new Set()
+      resolve(res.then(res => {
+        inheritStyles(initialContext, userContext)
+        return typeof res === 'function' ? res(userContext) : res
+      }))
+    })
+  } else if (runInNewContext !== false && runInNewContext !== 'once') {
     // new context mode: creates a fresh context and re-evaluate the bundle
     // on each render. Ensures entire application state is fresh for each
     // render, but incurs extra evaluation cost.
     return (userContext = {}) => new Promise(resolve => {
       userContext._registeredComponents = new Set()
+      const run = res => typeof res === 'function' ? res(userContext) : res
       const res = evaluate(entry, createSandbox(userContext))
-      resolve(typeof res === 'function' ? res(userContext) : res)
+      resolve(isModule ? res.then(run) : run(res))
     })
   } else {
     // direct mode: instead of re-evaluating the whole bundle on
@@ -105,46 +280,50 @@ export function createBundleRunner(entry, files, basedir, runInNewContext) {
     // module evaluation costs but requires the source code to be structured
     // slightly differently.
     let runner // lazy creation so that errors can be caught by user
+    let pendingRunner // ES module bundles are evaluated asynchronously
     let initialContext
-    return (userContext = {}) => new Promise(resolve => {
-      if (!runner) {
-        const sandbox = runInNewContext === 'once' ?
-          createSandbox() :
-          global
-          // the initial context is only used for collecting possible non-component
-          // styles injected by vue-style-loader.
-        initialContext = sandbox.__VUE_SSR_CONTEXT__ = {}
-        runner = evaluate(entry, sandbox)
-          // On subsequent renders, __VUE_SSR_CONTEXT__ will not be available
-          // to prevent cross-request pollution.
+    const createRunner = () => {
+      const sandbox = runInNewContext === 'once' ?
+        createSandbox() :
+        global
+        // the initial context is only used for collecting possible non-component
+        // styles injected by vue-style-loader.
+      initialContext = sandbox.__VUE_SSR_CONTEXT__ = {}
+      const checkRunner = res => {
+        // On subsequent renders, __VUE_SSR_CONTEXT__ will not be available
+        // to prevent cross-request pollution.
         delete sandbox.__VUE_SSR_CONTEXT__
-        if (typeof runner !== 'function') {
+        if (typeof res !== 'function') {
           throw new Error(
             'bundle export should be a function when using ' +
             '{ runInNewContext: false }.'
           )
         }
+        return (runner = res)
       }
+      if (!isModule) {
+        return checkRunner(evaluate(entry, sandbox))
+      }
+      return (pendingRunner = evaluate(entry, sandbox).then(checkRunner, err => {
+        delete sandbox.__VUE_SSR_CONTEXT__
+        pendingRunner = null
+        throw err
+      }))
+    }
+    const run = userContext => {
       userContext._registeredComponents = new Set()
-
-      // vue-style-loader styles imported outside of component lifecycle hooks
-      if (initialContext._styles) {
-        userContext._styles = deepClone(initialContext._styles)
-          // #6353 ensure "styles" is exposed even if no styles are injected
-          // in component lifecycles.
-          // the renderStyles fn is exposed by vue-style-loader >= 3.0.3
-        const renderStyles = initialContext._renderStyles
-        if (renderStyles) {
-          Object.defineProperty(userContext, 'styles', {
-            enumerable: true,
-            get() {
-              return renderStyles(userContext._styles)
-            }
-          })
+      inheritStyles(initialContext, userContext)
+      return runner(userContext)
+    }
+    return (userContext = {}) => new Promise(resolve => {
+      if (!runner && isModule) {
+        resolve((pendingRunner || createRunner()).then(() => run(userContext)))
+      } else {
+        if (!runner) {
+          createRunner()
         }
+        resolve(run(userContext))
       }
-
-      resolve(runner(userContext))
     })
   }
 }
\ No newline at end of file
@@ -0,0 +1,157 @@
+/* @flow */
+
+/**
+ * First-party component cache for the renderer `cache` option.
+ *
+ * An in-memory LRU store with per-entry TTL and tags. Entries are written by
+ * the renderer with the `ttl` and `tags` returned from `serverCacheKey`, so
+ * they can be purged by tag when the underlying data changes. Tags of nested
+ * cached components are merged into their parent entries, which means that
+ * invalidating a tag also purges every entry that embeds the stale html.
+ */
+
+export type CacheEntryOptions = {
+  ttl?: number;
+  tags?: Array<string>;
+};
+
+export type ComponentCacheOptions = {
+  // max number of entries before the least recently used one is evicted
+  max?: number;
+  // default ttl in ms for entries that don't specify one
+  ttl?: number;
+};
+
+export type ComponentCacheStats = {
+  hits: number;
+  misses: number;
+  sets: number;
+  evictions: number;
+  invalidations: number;
+  size: number;
+};
+
+type CacheEntry = {
+  value: any;
+  expires: number;
+  tags: Array<string>;
+};
+
+export class ComponentCache {
+  acceptsEntryOptions: boolean;
+  max: number;
+  ttl: ?number;
+  entries: Map<string, CacheEntry>;
+  tagIndex: Map<string, Set<string>>;
+  hits: number;
+  misses: number;
+  sets: number;
+  evictions: number;
+  invalidations: number;
+
+  constructor (options?: ComponentCacheOptions = {}) {
+    this.acceptsEntryOptions = true
+    this.max = options.max || Infinity
+    this.ttl = options.ttl
+    this.entries = new Map()
+    this.tagIndex = new Map()
+    this.resetStats()
+  }
+
+  // no `has`: the renderer then looks entries up with a single `get`, which
+  // keeps the hit/miss stats accurate.
+  get (key: string): any {
+    const entry = this.entries.get(key)
+    if (!entry || entry.expires <= Date.now()) {
+      if (entry) this.delete(key)
+      this.misses++
+      return
+    }
+    // move to the end of the map to mark it as most recently used
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    this.hits++
+    return entry.value
+  }
+
+  set (key: string, value: any, options?: CacheEntryOptions = {}) {
+    this.delete(key)
+    const ttl = options.ttl != null ? options.ttl : this.ttl
+    const tags = options.tags || []
+    this.entries.set(key, {
+      value,
+      expires: ttl != null ? Date.now() + ttl : Infinity,
+      tags
+    })
+    tags.forEach(tag => {
+      const keys = this.tagIndex.get(tag)
+      if (keys) {
+        keys.add(key)
+      } else {
+        this.tagIndex.set(tag, new Set([key]))
+      }
+    })
+    this.sets++
+    while (this.entries.size > this.max) {
+      const oldest: any = this.entries.keys().next().value
+      this.delete(oldest)
+      this.evictions++
+    }
+  }
+
+  delete (key: string): boolean {
+    const entry = this.entries.get(key)
+    if (!entry) {
+      return false
+    }
+    this.entries.delete(key)
+    entry.tags.forEach(tag => {
+      const keys = this.tagIndex.get(tag)
+      if (keys) {
+        keys.delete(key)
+        if (!keys.size) this.tagIndex.delete(tag)
+      }
+    })
+    return true
+  }
+
+  // purge all entries with any of the given tags, returns the purged count
+  invalidate (tags: string | Array<string>): number {
+    let count = 0
+    const list = Array.isArray(tags) ? tags : [tags]
+    list.forEach(tag => {
+      const keys = this.tagIndex.get(tag)
+      if (keys) {
+        keys.forEach(key => {
+          if (this.delete(key)) count++
+        })
+      }
+    })
+    this.invalidations += count
+    return count
+  }
+
+  clear () {
+    this.entries.clear()
+    this.tagIndex.clear()
+  }
+
+  getStats (): ComponentCacheStats {
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      sets: this.sets,
+      evictions: this.evictions,
+      invalidations: this.invalidations,
+      size: this.entries.size
+    }
+  }
+
+  resetStats () {
+    this.hits = 0
+    this.misses = 0
+    this.sets = 0
+    this.evictions = 0
+    this.invalidations = 0
+  }
+}
@@ -8,9 +8,18 @@ export function createBasicRenderer ({
   modules = [],
   directives = {},
   isUnaryTag = (() => false),
-  cache
+  cache,
+  profile,
+  timeout
 }: RenderOptions = {}) {
-  const render = createRenderFunction(modules, directives, isUnaryTag, cache)
+  const render = createRenderFunction(
+    modules,
+    directives,
+    isUnaryTag,
+    cache,
+    profile,
+    timeout
+  )
 
   return function renderToString (
     component: Component,
@@ -1,21 +1,29 @@
 /* @flow */
 
 import RenderStream from './render-stream'
+import { createWebStream } from './render-web-stream'
 import { createWriteFunction } from './write'
 import { createRenderFunction } from './render'
 import { createPromiseCallback } from './util'
 import TemplateRenderer from './template-renderer/index'
 import type { ClientManifest } from './template-renderer/index'
+import type { CriticalCSSOptions } from './template-renderer/critical-css'
+import type { CacheEntryOptions } from './component-cache'
+import type { ProfileEntry } from './render-profiler'
 
 export type Renderer = {
   renderToString: (component: Component, context: any, cb: any) => ?Promise<string>;
   renderToStream: (component: Component, context?: Object) => stream$Readable;
+  renderToWebStream: (component: Component, context?: Object) => ReadableStream;
+  pipeToWritable: (component: Component, context: any, writable?: WritableStream) => Promise<void>;
 };
 
 type RenderCache = {
   get: (key: string, cb?: Function) => string | void;
-  set: (key: string, val: string) => void;
+  set: (key: string, val: string, options?: CacheEntryOptions) => void;
   has?: (key: string, cb?: Function) => boolean | void;
+  // set to receive the ttl and tags of entries as the third argument of set
+  acceptsEntryOptions?: boolean;
 };
 
 export type RenderOptions = {
@@ -23,6 +31,8 @@ export type RenderOptions = {
   directives?: Object;
   isUnaryTag?: Function;
   cache?: RenderCache;
+  profile?: boolean | (report: ProfileEntry, context: ?Object) => void;
+  timeout?: number;
   template?: string | (content: string, context: any) => string;
   inject?: boolean;
   basedir?: string;
@@ -30,7 +40,15 @@ export type RenderOptions = {
   shouldPrefetch?: Function;
   clientManifest?: ClientManifest;
   serializer?: Function;
-  runInNewContext?: boolean | 'once';
+  // inline the css needed by the rendered components, see TemplateRenderer
+  criticalCSS?: CriticalCSSOptions;
+  // 'pool' evaluates the bundle in fresh contexts ahead of the renders, each
+  // context serving a single render. The evaluation is still synchronous:
+  // the warm-up scheduled with setImmediate blocks the event loop while it
+  // runs, and a render finding the pool empty evaluates the bundle itself.
+  runInNewContext?: boolean | 'once' | 'pool';
+  // number of pre-evaluated contexts kept with runInNewContext: 'pool'
+  contextPoolSize?: number;
 };
 
 export function createRenderer ({
@@ -40,21 +58,76 @@ export function createRenderer ({
   template,
   inject,
   cache,
+  profile,
+  timeout,
   shouldPreload,
   shouldPrefetch,
   clientManifest,
-  serializer
+  serializer,
+  criticalCSS
 }: RenderOptions = {}): Renderer {
-  const render = createRenderFunction(modules, directives, isUnaryTag, cache)
+  const renderApp = createRenderFunction(
+    modules,
+    directives,
+    isUnaryTag,
+    cache,
+    profile,
+    timeout
+  )
   const templateRenderer = new TemplateRenderer({
     template,
     inject,
     shouldPreload,
     shouldPrefetch,
     clientManifest,
-    serializer
+    serializer,
+    criticalCSS
   })
 
+  // resource hints are reported as soon as they are known: the preloads of
+  // the files loaded upfront when the render starts, the async chunks used by
+  // the app and the prefetches once it is rendered.
+  function render (
+    component: Component,
+    write: (text: string, next: Function) => void,
+    context: ?Object,
+    done: Function
+  ) {
+    templateRenderer.reportResourceHints(context)
+    renderApp(component, write, context, err => {
+      if (!err && context) {
+        context._renderDone = true
+        templateRenderer.reportResourceHints(context)
+      }
+      done(err)
+    })
+  }
+
+  function renderToWebStream (
+    component: Component,
+    context?: Object
+  ): ReadableStream {
+    if (typeof template === 'function') {
+      throw new Error(`function template is only supported in renderToString.`)
+    }
+    if (context) {
+      templateRenderer.bindRenderFns(context)
+    }
+    return createWebStream((write, done) => {
+      render(component, write, context, done)
+    }, {
+      start: template
+        ? () => templateRenderer.renderStart(context || {})
+        : undefined,
+      end: () => {
+        if (context && context.rendered) {
+          context.rendered(context)
+        }
+        return template ? templateRenderer.renderEnd(context || {}) : ''
+      }
+    })
+  }
+
   return {
     renderToString (
       component: Component,
@@ -147,6 +220,20 @@ export function createRenderer ({
         }
         return templateStream
       }
+    },
+
+    renderToWebStream,
+
+    pipeToWritable (
+      component: Component,
+      context: any,
+      writable?: WritableStream
+    ): Promise<void> {
+      if (writable == null) {
+        writable = context
+        context = undefined
+      }
+      return renderToWebStream(component, context).pipeTo(writable)
     }
   }
 }
@@ -9,6 +9,7 @@ import {
   genFor,
   genData,
   genText,
+  genSlot,
   genElement,
   genChildren,
   CodegenState
@@ -35,6 +36,7 @@ export type StringSegment = {
 export const RAW = 0
 export const INTERPOLATION = 1
 export const EXPRESSION = 2
+export const SLOT_SCOPE = 3
 
 export function generate (
   ast: ASTElement | void,
@@ -57,33 +59,50 @@ function genSSRElement (el: ASTElement, state: CodegenState): string {
     return el.ssrOptimizability === optimizability.FULL
       ? genChildrenAsStringNode(el, state)
       : genSSRChildren(el, state) || 'void 0'
+  } else if (el.tag === 'slot' && el.ssrOptimizability !== optimizability.FALSE) {
+    // the slot itself is a VNode, its fallback content is optimized
+    return genSlot(el, state, genSSRElement, genSSRNode)
   }
 
+  let code
   switch (el.ssrOptimizability) {
     case optimizability.FULL:
       // stringify whole tree
-      return genStringElement(el, state)
+      code = genStringElement(el, state)
+      break
     case optimizability.SELF:
       // stringify self and check children
-      return genStringElementWithChildren(el, state)
+      code = genStringElementWithChildren(el, state)
+      break
     case optimizability.CHILDREN:
       // generate self as VNode and stringify children
-      return genNormalElement(el, state, true)
+      code = genNormalElement(el, state, true)
+      break
     case optimizability.PARTIAL:
       // generate self as VNode and check children
-      return genNormalElement(el, state, false)
+      code = genNormalElement(el, state, false)
+      break
     default:
-      // bail whole tree
+      // bail whole tree, genElement applies the module transforms itself
       return genElement(el, state)
   }
+  // module transforms
+  for (let i = 0; i < state.transforms.length; i++) {
+    code = state.transforms[i](el, code)
+  }
+  return code
 }
 
 function genNormalElement (el, state, stringifyChildren) {
-  const data = el.plain ? undefined : genData(el, state)
+  // scoped slots passed to components are optimized as well
+  const data = el.plain && !el.component
+    ? undefined
+    : genData(el, state, genSSRElement, genSSRNode)
   const children = stringifyChildren
-    ? `[${genChildrenAsStringNode(el, state)}]`
+    ? el.children.length ? `[${genChildrenAsStringNode(el, state)}]` : ''
     : genSSRChildren(el, state, true)
-  return `_c('${el.tag}'${
+  // el.component is the expression of a dynamic "is" component
+  return `_c(${el.component || `'${el.tag}'`}${
     data ? `,${data}` : ''
   }${
     children ? `,${children}` : ''
@@ -102,23 +121,50 @@ function genSSRNode (el, state) {
 
 function genChildrenAsStringNode (el, state) {
   return el.children.length
-    ? `_ssrNode(${flattenSegments(childrenToSegments(el, state))})`
+    ? `_ssrNode(${genStringNodeOpen(flattenSegments(childrenToSegments(el, state)))})`
     : ''
 }
 
 function genStringElement (el, state) {
-  return `_ssrNode(${elementToString(el, state)})`
+  return `_ssrNode(${genStringNodeOpen(elementToString(el, state))})`
 }
 
 function genStringElementWithChildren (el, state) {
   const children = genSSRChildren(el, state, true)
   return `_ssrNode(${
-    flattenSegments(elementToOpenTagSegments(el, state))
+    genStringNodeOpen(flattenSegments(elementToOpenTagSegments(el, state)))
   },"</${el.tag}>"${
     children ? `,${children}` : ''
   })`
 }
 
+// Slot contents are rendered by the component they are passed to, which adds
+// its scope id to their elements. It is only known at render time, so markup
+// containing elements of slot contents is generated by a function taking the
+// scope attribute.
+function genStringNodeOpen (open: string): string {
+  return /\b_ssrSlotScope\b/.test(open)
+    ? `function(_ssrSlotScope){return ${open}}`
+    : open
+}
+
+function isSlotContent (el: ASTElement, state: CodegenState): boolean {
+  return !!el.parent && hasSlotContentChildren(el.parent, state)
+}
+
+// whether the children of the element are (part of) the slot contents passed
+// to a component
+function hasSlotContentChildren (el: ASTElement, state: CodegenState): boolean {
+  let node = el
+  while (node) {
+    if (node.tag !== 'slot' && state.maybeComponent(node)) {
+      return true
+    }
+    node = node.parent
+  }
+  return false
+}
+
 function elementToString (el, state) {
   return `(${flattenSegments(elementToSegments(el, state))})`
 }
@@ -189,6 +235,10 @@ function elementToOpenTagSegments (el, state): Array<StringSegment> {
       )
     )
   }
+  // scope id of the component rendering the slot content
+  if (isSlotContent(el, state)) {
+    segments.push({ type: SLOT_SCOPE, value: '' })
+  }
   // _scopedId
   if (state.options.scopeId) {
     segments.push({ type: RAW, value: ` ${state.options.scopeId}` })
@@ -256,6 +306,9 @@ function flattenSegments (segments: Array<StringSegment>): string {
     } else if (s.type === EXPRESSION) {
       pushBuffer()
       mergedSegments.push(`(${s.value})`)
+    } else if (s.type === SLOT_SCOPE) {
+      pushBuffer()
+      mergedSegments.push(`_ssrSlotScope`)
     }
   }
   pushBuffer()
@@ -7,7 +7,12 @@
  *
  * The criteria for SSR optimizability is quite a bit looser than static tree
  * detection (which is designed for client re-render). In SSR we bail only for
- * components/slots/custom directives.
+ * <select v-model> and inline templates. Components, slots and nodes with
+ * custom directives must be VNodes themselves, but their children (the slot
+ * contents or fallback) can still be optimized. Components are not rendered
+ * to strings at compile time: a component, or a v-for over components, still
+ * renders through VNodes, only the markup around it and its slot contents
+ * become strings.
  */
 
 import { no, makeMap, isBuiltInTag } from 'shared/util'
@@ -34,8 +39,12 @@ function walk (node: ASTNode, isRoot?: boolean) {
     node.ssrOptimizability = optimizability.FALSE
     return
   }
-  // root node or nodes with custom directives should always be a VNode
-  const selfUnoptimizable = isRoot || hasCustomDirective(node)
+  // root node, components, slots, slot contents and nodes with custom
+  // directives should always be a VNode
+  const selfUnoptimizable = isRoot ||
+    hasCustomDirective(node) ||
+    isComponentOrSlot(node) ||
+    (node.type === 1 && !!node.slotTarget)
   const check = child => {
     if (child.ssrOptimizability !== optimizability.FULL) {
       node.ssrOptimizability = selfUnoptimizable
@@ -59,6 +68,14 @@ function walk (node: ASTNode, isRoot?: boolean) {
         check(block)
       }
     }
+    // scoped slots are rendered by the child component, the slot functions
+    // return VNodes so the contents of templates are optimized like a root.
+    if (node.scopedSlots) {
+      for (const key in node.scopedSlots) {
+        const slot = node.scopedSlots[key]
+        walk(slot, slot.tag === 'template')
+      }
+    }
     if (node.ssrOptimizability == null ||
       (!isRoot && (node.attrsMap['v-html'] || node.attrsMap['v-text']))
     ) {
@@ -112,13 +129,30 @@ function isUnOptimizableTree (node: ASTNode): boolean {
     return false
   }
   return (
+    // components and slots inside v-pre are generated as plain elements
+    (isComponentOrSlot(node) && isInPre(node)) ||
+    !!node.inlineTemplate || // children are the component template
+    isSelectWithModel(node) // <select v-model> requires runtime inspection
+  )
+}
+
+function isComponentOrSlot (node: ASTNode): boolean {
+  return node.type === 1 && (
     isBuiltInTag(node.tag) || // built-in (slot, component)
     !isPlatformReservedTag(node.tag) || // custom component
-    !!node.component || // "is" component
-    isSelectWithModel(node) // <select v-model> requires runtime inspection
+    !!node.component // "is" component
   )
 }
 
+function isInPre (node: ASTElement): boolean {
+  let el = node
+  while (el) {
+    if (el.pre) return true
+    el = el.parent
+  }
+  return false
+}
+
 const isBuiltInDir = makeMap('text,html,show,on,bind,model,pre,cloak,once')
 
 function hasCustomDirective (node: ASTNode): ?boolean {
@@ -42,21 +42,28 @@ export function installSSRHelpers (vm: Component) {
   }
 }
 
+// the open markup of slot contents is generated given the scope attribute of
+// the component rendering them
+type StringNodeOpen = string | (slotScope: string) => string;
+
 class StringNode {
   isString: boolean;
-  open: string;
+  open: StringNodeOpen;
   close: ?string;
   children: ?Array<any>;
+  context: Component | void;
 
   constructor (
-    open: string,
+    open: StringNodeOpen,
     close?: string,
     children?: Array<any>,
-    normalizationType?: number
+    normalizationType?: number,
+    context?: Component
   ) {
     this.isString = true
     this.open = open
     this.close = close
+    this.context = context
     if (children) {
       this.children = normalizationType === 1
         ? simpleNormalizeChildren(children)
@@ -70,12 +77,15 @@ class StringNode {
 }
 
 function renderStringNode (
-  open: string,
+  open: StringNodeOpen,
   close?: string,
   children?: Array<any>,
   normalizationType?: number
 ): StringNode {
-  return new StringNode(open, close, children, normalizationType)
+  // called on the render proxy of the instance, or on the render context of
+  // functional components
+  const context = this._isVue ? this._self : this.parent
+  return new StringNode(open, close, children, normalizationType, context)
 }
 
 function renderStringList (
@@ -1,6 +1,27 @@
 /* @flow */
 
-import { isUndef } from 'shared/util'
+import { isDef, isUndef } from 'shared/util'
+import type { DeferredRender } from './render-deferred'
+import type {
+  RenderProfiler,
+  ProfileEntry,
+  ProfileEntryType
+} from './render-profiler'
+
+type CacheEntryOptions = {
+  ttl: ?number;
+  tags: Array<string>;
+  // set when the html contains the stand-in of a timed out subtree
+  uncacheable?: boolean;
+};
+
+// ttl and tags of a nested entry, or of a cache hit whose ttl is known
+// from its absolute expiry time
+type NestedCacheEntryOptions = {
+  ttl?: ?number;
+  expires?: ?number;
+  tags?: Array<string>;
+};
 
 type RenderState = {
   type: 'Element';
@@ -16,6 +37,8 @@ type RenderState = {
 } | {
   type: 'Component';
   prevActive: Component;
+  prevProfile?: ?ProfileEntry;
+  profile?: ?ProfileEntry;
 } | {
   type: 'ComponentWithCache';
   buffer: Array<string>;
@@ -41,6 +64,21 @@ export class RenderContext {
   get: ?(key: string, cb: Function) => void;
   has: ?(key: string, cb: Function) => void;
 
+  // out-of-order streaming: shared across the main render and all deferred
+  // subtree renders. deferredId is the id of the subtree being rendered by
+  // this context (null for the main render).
+  deferred: DeferredRender;
+  deferredId: ?number;
+
+  // render budget (optional): timestamp after which pending subtrees are
+  // rendered as their placeholder.
+  deadline: ?number;
+
+  // render profiling (optional): the profiler is shared by all contexts of
+  // a render, profile is the entry new entries are nested under.
+  profiler: ?RenderProfiler;
+  profile: ?ProfileEntry;
+
   constructor (options: Object) {
     this.userContext = options.userContext
     this.activeInstance = options.activeInstance
@@ -62,6 +100,13 @@ export class RenderContext {
     this.get = cache && normalizeAsync(cache, 'get')
     this.has = cache && normalizeAsync(cache, 'has')
 
+    this.deferred = options.deferred
+    this.deferredId = options.deferredId
+    this.deadline = options.deadline
+
+    this.profiler = options.profiler
+    this.profile = options.profile
+
     this.next = this.next.bind(this)
   }
 
@@ -90,15 +135,43 @@ export class RenderContext {
         case 'Component':
           this.renderStates.pop()
           this.activeInstance = lastState.prevActive
+          this.endProfile(lastState.profile)
+          this.profile = lastState.prevProfile
+          const states = this.renderStreamedStates()
+          if (states) {
+            return this.write(states, this.next)
+          }
           break
         case 'ComponentWithCache':
           this.renderStates.pop()
           const { buffer, bufferIndex, componentBuffer, key } = lastState
-          const result = {
+          const entryOptions = this.write.cacheEntryOptions[bufferIndex]
+          const result: Object = {
             html: buffer[bufferIndex],
             components: componentBuffer[bufferIndex]
           }
-          this.cache.set(key, result)
+          if (entryOptions.uncacheable) {
+            // the html contains the stand-in of a timed out subtree
+          } else if (isDef(entryOptions.ttl) || entryOptions.tags.length) {
+            // keep ttl and tags on the entry itself so that parents
+            // embedding it on a later cache hit can inherit them.
+            if (isDef(entryOptions.ttl)) {
+              result.expires = Date.now() + entryOptions.ttl
+            }
+            result.tags = entryOptions.tags
+            // only caches that opt in get the entry options: others such as
+            // lru-cache read a third argument as their own maxAge.
+            if (this.cache.acceptsEntryOptions) {
+              this.cache.set(key, result, {
+                ttl: entryOptions.ttl,
+                tags: entryOptions.tags
+              })
+            } else {
+              this.cache.set(key, result)
+            }
+          } else {
+            this.cache.set(key, result)
+          }
           if (bufferIndex === 0) {
             // this is a top-level cached component,
             // exit caching mode.
@@ -109,13 +182,93 @@ export class RenderContext {
             buffer[bufferIndex - 1] += result.html
             const prev = componentBuffer[bufferIndex - 1]
             result.components.forEach(c => prev.add(c))
+            mergeCacheEntryOptions(
+              this.write.cacheEntryOptions[bufferIndex - 1],
+              entryOptions
+            )
           }
           buffer.length = bufferIndex
           componentBuffer.length = bufferIndex
+          this.write.cacheEntryOptions.length = bufferIndex
           break
       }
     }
   }
+
+  // state entries declared with `stream: true` are written as soon as a
+  // component is done, unless the html is cached or swapped in later.
+  renderStreamedStates (): string {
+    const { userContext } = this
+    if (
+      !userContext ||
+      !userContext._renderStreamedStates ||
+      this.write.caching ||
+      this.deferredId != null
+    ) {
+      return ''
+    }
+    return userContext._renderStreamedStates()
+  }
+
+  startProfile (type: ProfileEntryType, name: string): ?ProfileEntry {
+    const { profiler, profile } = this
+    if (profiler && profile) {
+      return profiler.start(type, name, profile)
+    }
+  }
+
+  endProfile (entry: ?ProfileEntry, extra?: Object) {
+    if (this.profiler && entry) {
+      this.profiler.end(entry, extra)
+    }
+  }
+}
+
+// merge the ttl and tags of a nested cache entry (or of a cache hit) into the
+// entry of the parent component being cached, which embeds its html.
+export function mergeCacheEntryOptions (
+  parent: CacheEntryOptions,
+  child: NestedCacheEntryOptions
+) {
+  const expires: ?number = child.expires
+  const ttl: ?number = expires != null
+    ? Math.max(expires - Date.now(), 0)
+    : child.ttl
+  const parentTtl: ?number = parent.ttl
+  if (ttl != null && (parentTtl == null || ttl < parentTtl)) {
+    parent.ttl = ttl
+  }
+  if (child.tags) {
+    child.tags.forEach(tag => {
+      if (parent.tags.indexOf(tag) < 0) parent.tags.push(tag)
+    })
+  }
+}
+
+// the render deadline is the earliest of the one given by the renderer's
+// `timeout` option and the one set on the render context (context.deadline).
+export function resolveDeadline (
+  timeout: ?number,
+  userContext: ?Object
+): ?number {
+  const deadline = timeout != null ? Date.now() + timeout : null
+  const contextDeadline: ?number = userContext ? userContext.deadline : null
+  if (contextDeadline == null) {
+    return deadline
+  }
+  return deadline != null ? Math.min(deadline, contextDeadline) : contextDeadline
+}
+
+// components skipped because of the render deadline are exposed to the user
+// context, so that the client can fetch their data itself. The list only
+// exists when a deadline is set.
+export function recordSkipped (userContext: ?Object, name: string) {
+  const skipped: ?Array<string> = userContext
+    ? userContext.skippedComponents
+    : null
+  if (skipped) {
+    skipped.push(name)
+  }
 }
 
 function normalizeAsync (cache, method) {
@@ -0,0 +1,176 @@
+/* @flow */
+
+/**
+ * Out-of-order streaming support.
+ *
+ * A deferred subtree writes a placeholder into the main render right away and
+ * renders its real content into a separate buffer. Once the main tree has been
+ * written, completed subtrees are flushed in completion order as an inline
+ * <template> followed by a tiny script that swaps it in for the placeholder.
+ */
+
+import { recordSkipped } from './render-context'
+import { renderNonceAttr } from 'web/server/util'
+
+type DeferredChunk = {
+  id: number;
+  parentId: ?number;
+  html: string;
+};
+
+// placeholders are delimited by a pair of comments so that they can wrap
+// any content (elements, text, fragments or nothing at all).
+export const placeholderStart = (id: number) => `<!--[vph:${id}-->`
+export const placeholderEnd = (id: number) => `<!--]vph:${id}-->`
+
+// swaps the <template> preceding the current script in for the placeholder
+// with the given id, then cleans up after itself.
+const SWAP_FN =
+  'window.__VUE_SSR_SWAP__=function(i){' +
+    'var s=document.currentScript,t=s.previousSibling,' +
+    'w=document.createTreeWalker(document,128),a,b,n;' +
+    'while(n=w.nextNode()){' +
+      'if(n.data==="[vph:"+i)a=n;' +
+      'else if(n.data==="]vph:"+i){b=n;break}' +
+    '}' +
+    'while(a.nextSibling!==b)a.parentNode.removeChild(a.nextSibling);' +
+    'b.parentNode.replaceChild(t.content,b);' +
+    'a.parentNode.removeChild(a);' +
+    't.parentNode.removeChild(t);' +
+    's.parentNode.removeChild(s)' +
+  '}'
+
+export class DeferredRender {
+  write: Function;
+  done: (err: ?Error) => void;
+  userContext: ?Object;
+  nonceAttr: string;
+  uid: number;
+  pending: number;
+  names: { [id: number]: string };
+  ready: Array<DeferredChunk>;
+  flushed: { [id: number]: boolean };
+  finished: boolean;
+  failed: boolean;
+  flushing: boolean;
+  swapInjected: boolean;
+  deadline: ?number;
+  timer: any;
+  expired: boolean;
+  ended: boolean;
+
+  constructor (
+    write: Function,
+    done: (err: ?Error) => void,
+    userContext: ?Object,
+    deadline: ?number
+  ) {
+    this.write = write
+    this.done = done
+    this.userContext = userContext
+    this.nonceAttr = renderNonceAttr(userContext)
+    this.uid = 0
+    this.pending = 0
+    this.names = {}
+    this.ready = []
+    this.flushed = {}
+    this.finished = false
+    this.failed = false
+    this.flushing = false
+    this.swapInjected = false
+    this.deadline = deadline
+    this.timer = null
+    this.expired = false
+    this.ended = false
+  }
+
+  // register a new deferred subtree of the named component and return its id
+  add (name: string): number {
+    this.pending++
+    this.names[this.uid] = name
+    return this.uid++
+  }
+
+  resolve (id: number, parentId: ?number, html: string) {
+    if (this.ended) {
+      return
+    }
+    this.pending--
+    delete this.names[id]
+    this.ready.push({ id, parentId, html })
+    this.flush()
+  }
+
+  reject (err: Error) {
+    if (!this.failed && !this.ended) {
+      this.failed = true
+      this.done(err)
+    }
+  }
+
+  // called once the main tree has been written
+  finish () {
+    this.finished = true
+    const { deadline } = this
+    if (this.pending && deadline != null) {
+      this.timer = setTimeout(() => this.expire(), Math.max(deadline - Date.now(), 0))
+    }
+    this.flush()
+  }
+
+  // the render deadline has passed: write what is ready and leave the
+  // placeholders of pending subtrees in place.
+  expire () {
+    this.expired = true
+    Object.keys(this.names).forEach(id => {
+      recordSkipped(this.userContext, this.names[(id: any)])
+    })
+    this.flush()
+  }
+
+  end () {
+    this.ended = true
+    if (this.timer) {
+      clearTimeout(this.timer)
+    }
+    this.done()
+  }
+
+  flush () {
+    if (!this.finished || this.failed || this.flushing || this.ended) {
+      return
+    }
+    // a nested subtree can only be swapped in once its own placeholder,
+    // which lives inside the parent subtree's content, is in the document.
+    const index = this.ready.findIndex(chunk => {
+      return chunk.parentId == null || this.flushed[chunk.parentId]
+    })
+    if (index < 0) {
+      if (this.pending === 0 || this.expired) {
+        this.end()
+      } else if (this.write.flush) {
+        // nothing to write until a pending subtree resolves
+        this.write.flush()
+      }
+      return
+    }
+    const chunk = this.ready.splice(index, 1)[0]
+    this.flushed[chunk.id] = true
+    this.flushing = true
+    this.write(this.renderChunk(chunk), () => {
+      this.flushing = false
+      this.flush()
+    })
+  }
+
+  renderChunk ({ id, html }: DeferredChunk): string {
+    let res = ''
+    if (!this.swapInjected) {
+      this.swapInjected = true
+      res += `<script${this.nonceAttr}>${SWAP_FN}</script>`
+    }
+    return res +
+      `<template>${html}</template>` +
+      `<script${this.nonceAttr}>__VUE_SSR_SWAP__(${id})</script>`
+  }
+}
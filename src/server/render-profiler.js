@@ -0,0 +1,76 @@
+/* @flow */
+
+/**
+ * Collects render timings as a tree of entries (a flame graph): component
+ * renders include the time spent in their whole subtree, and the time spent
+ * waiting on serverPrefetch, async components and cache lookups is recorded
+ * as children of the component that waited on them. Times are in ms relative
+ * to the start of the render.
+ */
+
+import { extend } from 'shared/util'
+
+export type ProfileEntryType =
+  'render' | 'component' | 'serverPrefetch' | 'asyncComponent' | 'cache';
+
+export type ProfileEntry = {
+  type: ProfileEntryType;
+  name: string;
+  start: number;
+  duration: number;
+  children: Array<ProfileEntry>;
+  // cache lookups only
+  key?: string;
+  hit?: boolean;
+  // set when the render deadline passed before the wait was over
+  timedOut?: boolean;
+};
+
+const now: () => number =
+  typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? () => performance.now()
+    : Date.now
+
+export class RenderProfiler {
+  origin: number;
+  root: ProfileEntry;
+
+  constructor () {
+    this.origin = now()
+    this.root = {
+      type: 'render',
+      name: 'Root',
+      start: 0,
+      duration: 0,
+      children: []
+    }
+  }
+
+  start (type: ProfileEntryType, name: string, parent: ProfileEntry): ProfileEntry {
+    const entry = {
+      type,
+      name,
+      start: now() - this.origin,
+      duration: 0,
+      children: []
+    }
+    parent.children.push(entry)
+    return entry
+  }
+
+  end (entry: ProfileEntry, extra?: Object) {
+    entry.duration = now() - this.origin - entry.start
+    if (extra) {
+      extend(entry, extra)
+    }
+  }
+
+  finish (): ProfileEntry {
+    this.end(this.root)
+    return this.root
+  }
+}
+
+export function getComponentName (options: Object, tag?: string): string {
+  return options.name || options._componentTag || tag || 'Anonymous'
+}
@@ -10,7 +10,7 @@
 
 const stream = require('stream')
 
-import { isTrue, isUndef } from 'shared/util'
+import { isTrue, isUndef, noop } from 'shared/util'
 import { createWriteFunction } from './write'
 
 export default class RenderStream extends stream.Readable {
@@ -40,6 +40,16 @@ export default class RenderStream extends stream.Readable {
     }, err => {
       this.emit('error', err)
     })
+    // called when rendering is idle waiting for deferred subtrees, so that
+    // everything rendered so far reaches the client right away.
+    this.write.flush = () => {
+      if (this.buffer.length) {
+        // rendering is not paused on a write here, so reading more
+        // must not resume it.
+        this.next = noop
+        this.pushBySize(this.buffer.length)
+      }
+    }
 
     this.end = () => {
       this.emit('beforeEnd')
@@ -0,0 +1,118 @@
+/* @flow */
+
+/**
+ * WHATWG ReadableStream counterpart of RenderStream, for runtimes that only
+ * provide web streams (e.g. edge workers). It does not depend on Node's
+ * `stream` module: rendering is driven by the consumer's pull() calls, so
+ * backpressure is handled the same way RenderStream does it.
+ */
+
+import { createWriteFunction } from './write'
+
+// buffer up to 16kb of encoded output before pausing the render
+const HIGH_WATER_MARK = 16 * 1024
+
+type WebStreamHooks = {
+  // called right before the first chunk of content is pushed
+  start?: () => ?string;
+  // called once rendering has finished, before the stream is closed
+  end?: () => ?string;
+};
+
+export function createWebStream (
+  render: (write: Function, done: Function) => void,
+  hooks?: WebStreamHooks = {}
+): ReadableStream {
+  if (typeof ReadableStream === 'undefined') {
+    throw new Error(
+      'renderToWebStream requires a global ReadableStream implementation. ' +
+      'Use renderToStream in Node.js environments without web streams.'
+    )
+  }
+
+  const encoder = new TextEncoder()
+  let controller
+  let next
+  let rendering = false
+  let started = false
+  let finished = false
+
+  const push = (text: ?string) => {
+    if (text) {
+      controller.enqueue(encoder.encode(text))
+    }
+  }
+
+  const start = () => {
+    if (!started) {
+      started = true
+      if (hooks.start) push(hooks.start())
+    }
+  }
+
+  const fail = (err: Error) => {
+    if (!finished) {
+      finished = true
+      controller.error(err)
+    }
+  }
+
+  const write = createWriteFunction((text, _next) => {
+    if (finished) {
+      // stream has been cancelled or errored, stop rendering
+      return true
+    }
+    start()
+    push(text)
+    if (controller.desiredSize <= 0) {
+      next = _next
+      return true // resume in pull()
+    }
+    return false
+  }, fail)
+
+  const done = (err?: Error) => {
+    if (finished) return
+    if (err) return fail(err)
+    try {
+      start()
+      if (hooks.end) push(hooks.end())
+    } catch (e) {
+      return fail(e)
+    }
+    finished = true
+    controller.close()
+  }
+
+  return new ReadableStream({
+    start (_controller) {
+      controller = _controller
+    },
+    pull () {
+      if (!rendering) {
+        // start the rendering chain.
+        rendering = true
+        try {
+          render(write, done)
+        } catch (e) {
+          fail(e)
+        }
+      } else if (next) {
+        // continue with the rendering.
+        const resume = next
+        next = null
+        try {
+          resume()
+        } catch (e) {
+          fail(e)
+        }
+      }
+    },
+    cancel () {
+      finished = true
+    }
+  }, {
+    highWaterMark: HIGH_WATER_MARK,
+    size: (chunk: any) => chunk.byteLength
+  })
+}
@@ -1,14 +1,40 @@
 /* @flow */
 
 import { escape } from 'web/server/util'
-import { SSR_ATTR } from 'shared/constants'
-import { RenderContext } from './render-context'
+import {
+  SSR_ATTR,
+  SERVER_ONLY_ATTR,
+  ISLAND_ATTR,
+  ISLAND_PROPS_ATTR
+} from 'shared/constants'
+import {
+  RenderContext,
+  mergeCacheEntryOptions,
+  resolveDeadline,
+  recordSkipped
+} from './render-context'
+import { createWriteFunction } from './write'
+import { RenderProfiler, getComponentName } from './render-profiler'
+import type { ProfileEntry } from './render-profiler'
+import {
+  DeferredRender,
+  placeholderStart,
+  placeholderEnd
+} from './render-deferred'
 import { resolveAsset } from 'core/util/options'
 import { generateComponentTrace } from 'core/util/debug'
 import { ssrCompileToFunctions } from 'web/server/compiler'
+import { resolveHead } from 'web/util/head'
 import { installSSRHelpers } from './optimizing-compiler/runtime-helpers'
 
-import { isDef, isUndef, isTrue } from 'shared/util'
+import {
+  isDef,
+  isUndef,
+  isTrue,
+  isPlainObject,
+  extend,
+  noop
+} from 'shared/util'
 
 import {
   createComponent,
@@ -30,8 +56,13 @@ const onCompilationError = (err, vm) => {
 }
 
 const normalizeRender = vm => {
-  const { render, template, _scopeId } = vm.$options
-  if (isUndef(render)) {
+  const { render, template, _scopeId, ssrRender } = vm.$options
+  if (typeof ssrRender === 'function') {
+    // render functions of the optimizing compiler, generated at build time
+    // along with the client render (e.g. by compileTemplate)
+    vm.$options.render = ssrRender
+    vm.$options.staticRenderFns = vm.$options.ssrStaticRenderFns || []
+  } else if (isUndef(render)) {
     if (template) {
       const compiled = ssrCompileToFunctions(template, {
         scopeId: _scopeId,
@@ -50,10 +81,28 @@ const normalizeRender = vm => {
   }
 }
 
-function waitForServerPrefetch (vm, resolve, reject) {
+function waitForServerPrefetch (vm, context, resolve, reject, timeout) {
   let handlers = vm.$options.serverPrefetch
   if (isDef(handlers)) {
     if (!Array.isArray(handlers)) handlers = [handlers]
+    const profile = context.startProfile(
+      'serverPrefetch',
+      vm.$root === vm ? 'Root' : getComponentName(vm.$options)
+    )
+    const _resolve = resolve
+    resolve = () => {
+      context.endProfile(profile)
+      _resolve()
+    }
+    if (typeof timeout === 'function') {
+      const onTimeout = timeout
+      const race = raceDeadline(context, () => {
+        context.endProfile(profile, { timedOut: true })
+        onTimeout()
+      })
+      resolve = race(resolve)
+      reject = race(reject)
+    }
     try {
       const promises = []
       for (let i = 0, j = handlers.length; i < j; i++) {
@@ -71,6 +120,52 @@ function waitForServerPrefetch (vm, resolve, reject) {
   resolve()
 }
 
+// wraps the callbacks of a pending render step so that they are ignored once
+// the render deadline has passed, and calls `onTimeout` instead if none of
+// them has been called by then.
+function raceDeadline (
+  context: RenderContext,
+  onTimeout: () => void
+): (fn: Function) => Function {
+  const deadline = context.deadline
+  if (deadline == null) {
+    return fn => fn
+  }
+  let timedOut = false
+  const timer = setTimeout(() => {
+    timedOut = true
+    try {
+      onTimeout()
+    } catch (e) {
+      context.done(e)
+    }
+  }, Math.max(deadline - Date.now(), 0))
+  return fn => (...args) => {
+    if (!timedOut) {
+      clearTimeout(timer)
+      fn(...args)
+    }
+  }
+}
+
+// render the stand-in for a subtree that missed the render deadline: its
+// placeholder, or an empty comment for the client to render over.
+function renderTimedOut (name, placeholder, isRoot, context) {
+  recordSkipped(context.userContext, name)
+  const write = context.write
+  if (write.caching) {
+    // every component being cached embeds the stand-in
+    write.cacheEntryOptions.forEach(entryOptions => {
+      entryOptions.uncacheable = true
+    })
+  }
+  if (placeholder) {
+    renderNode(placeholder, isRoot, context)
+  } else {
+    write(`<!---->`, context.next)
+  }
+}
+
 function renderNode (node, isRoot, context) {
   if (node.isString) {
     renderStringNode(node, context)
@@ -103,6 +198,24 @@ function registerComponentForCache (options, write) {
   return register
 }
 
+// scoped styles of the rendered components are inlined as critical css.
+// the scope is also recorded on cached entries, as for _ssrRegister.
+function registerScopeId (options, context) {
+  const scopeId = options._scopeId
+  const { userContext, write } = context
+  if (isUndef(scopeId) || !userContext) {
+    return
+  }
+  const register = options._ssrRegisterScope || (options._ssrRegisterScope = userContext => {
+    const scopeIds = userContext._scopeIds || (userContext._scopeIds = new Set())
+    scopeIds.add(scopeId)
+  })
+  register(userContext)
+  if (write.caching) {
+    write.componentBuffer[write.componentBuffer.length - 1].add(register)
+  }
+}
+
 function renderComponent (node, isRoot, context) {
   const { write, next, userContext } = context
 
@@ -114,37 +227,48 @@ function renderComponent (node, isRoot, context) {
   const registerComponent = registerComponentForCache(Ctor.options, write)
 
   if (isDef(getKey) && isDef(cache) && isDef(name)) {
-    const rawKey = getKey(node.componentOptions.propsData)
+    const { key: rawKey, ttl, tags } = normalizeCacheKey(
+      getKey(node.componentOptions.propsData)
+    )
     if (rawKey === false) {
       renderComponentInner(node, isRoot, context)
       return
     }
     const key = name + '::' + rawKey
+    const entryOptions = { ttl, tags: tags ? tags.slice() : [] }
+    const lookup = context.startProfile('cache', name)
+    const renderFromCache = res => {
+      context.endProfile(lookup, { key, hit: true })
+      if (isDef(registerComponent)) {
+        registerComponent(userContext)
+      }
+      res.components.forEach(register => register(userContext))
+      if (write.caching) {
+        // parent component is being cached: it embeds this entry's html
+        const { cacheEntryOptions } = write
+        mergeCacheEntryOptions(cacheEntryOptions[cacheEntryOptions.length - 1], res)
+      }
+      write(res.html, next)
+    }
+    const renderAndCache = () => {
+      context.endProfile(lookup, { key, hit: false })
+      renderComponentWithCache(node, isRoot, key, entryOptions, context)
+    }
     const { has, get } = context
     if (isDef(has)) {
       has(key, hit => {
         if (hit === true && isDef(get)) {
-          get(key, res => {
-            if (isDef(registerComponent)) {
-              registerComponent(userContext)
-            }
-            res.components.forEach(register => register(userContext))
-            write(res.html, next)
-          })
+          get(key, renderFromCache)
         } else {
-          renderComponentWithCache(node, isRoot, key, context)
+          renderAndCache()
         }
       })
     } else if (isDef(get)) {
       get(key, res => {
         if (isDef(res)) {
-          if (isDef(registerComponent)) {
-            registerComponent(userContext)
-          }
-          res.components.forEach(register => register(userContext))
-          write(res.html, next)
+          renderFromCache(res)
         } else {
-          renderComponentWithCache(node, isRoot, key, context)
+          renderAndCache()
         }
       })
     }
@@ -167,13 +291,24 @@ function renderComponent (node, isRoot, context) {
   }
 }
 
-function renderComponentWithCache (node, isRoot, key, context) {
+// serverCacheKey may return a plain key, or an object that also carries the
+// ttl (ms) and tags of the cache entry.
+function normalizeCacheKey (raw: any): {
+  key: any;
+  ttl?: number;
+  tags?: Array<string>;
+} {
+  return isPlainObject(raw) ? raw : { key: raw }
+}
+
+function renderComponentWithCache (node, isRoot, key, entryOptions, context) {
   const write = context.write
   write.caching = true
   const buffer = write.cacheBuffer
   const bufferIndex = buffer.push('') - 1
   const componentBuffer = write.componentBuffer
   componentBuffer.push(new Set())
+  write.cacheEntryOptions.push(entryOptions)
   context.renderStates.push({
     type: 'ComponentWithCache',
     key,
@@ -186,6 +321,15 @@ function renderComponentWithCache (node, isRoot, key, context) {
 
 function renderComponentInner (node, isRoot, context) {
   const prevActive = context.activeInstance
+  const prevProfile = context.profile
+  const name = getComponentName(
+    node.componentOptions.Ctor.options,
+    node.componentOptions.tag
+  )
+  const profile = context.startProfile('component', name)
+  if (profile) {
+    context.profile = profile
+  }
   // expose userContext on vnode
   node.ssrContext = context.userContext
   const child = context.activeInstance = createComponentInstanceForVnode(
@@ -193,31 +337,179 @@ function renderComponentInner (node, isRoot, context) {
     context.activeInstance
   )
   normalizeRender(child)
+  registerScopeId(child.$options, context)
 
-  const resolve = () => {
+  const renderChild = context => {
+    collectHead(child, context.userContext)
     const childNode = child._render()
     childNode.parent = node
+    markHydration(child, childNode)
     context.renderStates.push({
       type: 'Component',
-      prevActive
+      prevActive,
+      prevProfile,
+      profile
     })
     renderNode(childNode, isRoot, context)
   }
 
-  const reject = context.done
+  const placeholder = child.$options.serverPlaceholder
+  const createPlaceholder = () => {
+    const placeholderNode = placeholder && placeholder.call(child, child.$createElement)
+    if (placeholderNode) {
+      placeholderNode.parent = node
+    }
+    return placeholderNode
+  }
+
+  if (isDef(placeholder) && canDefer(context)) {
+    // out-of-order: render the placeholder now and the component once its
+    // serverPrefetch hooks have resolved.
+    const placeholderNode = createPlaceholder()
+    // the component is rendered (and profiled) by the deferred context
+    context.profile = prevProfile
+    renderDeferred(name, placeholderNode, isRoot, context, prevActive, deferredContext => {
+      if (profile) {
+        deferredContext.profile = profile
+      }
+      waitForServerPrefetch(
+        child,
+        deferredContext,
+        () => renderChild(deferredContext),
+        deferredContext.done
+      )
+    })
+  } else {
+    waitForServerPrefetch(child, context, () => renderChild(context), context.done, () => {
+      context.renderStates.push({
+        type: 'Component',
+        prevActive,
+        prevProfile,
+        profile
+      })
+      renderTimedOut(name, createPlaceholder(), isRoot, context)
+    })
+  }
+}
+
+// the `head` option is resolved once the component's data has been fetched,
+// and rendered into the template by the TemplateRenderer.
+function collectHead (vm, userContext) {
+  if (isDef(vm.$options.head) && userContext) {
+    const entries = userContext._headEntries || (userContext._headEntries = [])
+    entries.push(resolveHead(vm))
+  }
+}
+
+// serverOnly components are left alone by client-side hydration, while
+// islands carry what the client needs to hydrate them on their own.
+function markHydration (vm, node) {
+  const { serverOnly, island, name, propsData } = vm.$options
+  if (!serverOnly && !island) {
+    return
+  }
+  if (isUndef(node.tag)) {
+    warnOnce(
+      `[vue-server-renderer] Component ${name || '(anonymous)'} ` +
+      `uses "serverOnly" or "island" but does not render an element root.`
+    )
+    return
+  }
+  const data = node.data || (node.data = {})
+  const attrs = data.attrs = extend({}, data.attrs)
+  if (serverOnly) {
+    attrs[SERVER_ONLY_ATTR] = 'true'
+  }
+  if (island) {
+    if (isUndef(name)) {
+      warnOnce(
+        `[vue-server-renderer] Components that set "island" ` +
+        `must also define a unique "name" option.`
+      )
+      return
+    }
+    attrs[ISLAND_ATTR] = name
+    attrs[ISLAND_PROPS_ATTR] = JSON.stringify(propsData || {})
+  }
+}
 
-  waitForServerPrefetch(child, resolve, reject)
+function canDefer (context) {
+  // a deferred subtree would be missing from the cached html
+  return !context.write.caching
+}
+
+function renderDeferred (
+  name: string,
+  placeholder: ?VNode,
+  isRoot: boolean,
+  context: RenderContext,
+  prevActive: Component,
+  render: (context: RenderContext) => void
+) {
+  const { deferred, deferredId } = context
+  const id = deferred.add(name)
+
+  let html = ''
+  const write = createWriteFunction(text => {
+    html += text
+    return false
+  }, err => deferred.reject(err))
+  const deferredContext = new RenderContext({
+    activeInstance: context.activeInstance,
+    userContext: context.userContext,
+    write,
+    done: err => {
+      if (err) {
+        deferred.reject(err)
+      } else {
+        deferred.resolve(id, deferredId, html)
+      }
+    },
+    renderNode,
+    isUnaryTag: context.isUnaryTag,
+    modules: context.modules,
+    directives: context.directives,
+    cache: context.cache,
+    deferred,
+    deferredId: id,
+    // no deadline: deferred subtrees still pending when it passes are
+    // dropped by the DeferredRender as a whole
+    profiler: context.profiler,
+    profile: context.profile
+  })
+  try {
+    render(deferredContext)
+  } catch (e) {
+    deferred.reject(e)
+  }
+
+  const { write: contextWrite, next } = context
+  context.renderStates.push({
+    type: 'Component',
+    prevActive,
+    prevProfile: context.profile
+  })
+  context.renderStates.push({
+    type: 'Element',
+    children: placeholder ? [placeholder] : [],
+    rendered: 0,
+    total: placeholder ? 1 : 0,
+    endTag: placeholderEnd(id)
+  })
+  contextWrite(placeholderStart(id), next)
 }
 
 function renderAsyncComponent (node, isRoot, context) {
   const factory = node.asyncFactory
+  const { data, children, tag } = node.asyncMeta
+  const nodeContext = node.asyncMeta.context
+  let profile
 
-  const resolve = comp => {
+  const resolveIn = context => comp => {
+    context.endProfile(profile)
     if (comp.__esModule && comp.default) {
       comp = comp.default
     }
-    const { data, children, tag } = node.asyncMeta
-    const nodeContext = node.asyncMeta.context
     const resolvedNode: any = createComponent(
       comp,
       data,
@@ -248,27 +540,57 @@ function renderAsyncComponent (node, isRoot, context) {
       context.write(`<!---->`, context.next)
     }
   }
+  const resolve = resolveIn(context)
 
   if (factory.resolved) {
     resolve(factory.resolved)
     return
   }
 
-  const reject = context.done
+  const name = tag || 'Anonymous'
   let res
+  const race = raceDeadline(context, () => {
+    context.endProfile(profile, { timedOut: true })
+    const placeholder = res && res.serverPlaceholder
+    renderTimedOut(
+      name,
+      placeholder && placeholder.call(nodeContext, nodeContext.$createElement),
+      isRoot,
+      context
+    )
+  })
+  const settle = race(resolve)
+  const reject = race(context.done)
+  profile = context.startProfile('asyncComponent', name)
   try {
-    res = factory(resolve, reject)
+    res = factory(settle, reject)
   } catch (e) {
     reject(e)
   }
   if (res) {
     if (typeof res.then === 'function') {
-      res.then(resolve, reject).catch(reject)
+      res.then(settle, reject).catch(reject)
     } else {
       // new syntax in 2.3
       const comp = res.component
       if (comp && typeof comp.then === 'function') {
-        comp.then(resolve, reject).catch(reject)
+        const placeholder = res.serverPlaceholder
+        if (isDef(placeholder) && canDefer(context)) {
+          // out-of-order: render the placeholder now and the component
+          // once it has been resolved.
+          const placeholderNode = placeholder.call(
+            nodeContext,
+            nodeContext.$createElement
+          )
+          // the deferred subtree is bounded by the DeferredRender instead
+          race(noop)()
+          renderDeferred(name, placeholderNode, isRoot, context, context.activeInstance, deferredContext => {
+            const reject = deferredContext.done
+            comp.then(resolveIn(deferredContext), reject).catch(reject)
+          })
+        } else {
+          comp.then(settle, reject).catch(reject)
+        }
       }
     }
   }
@@ -276,8 +598,11 @@ function renderAsyncComponent (node, isRoot, context) {
 
 function renderStringNode (el, context) {
   const { write, next } = context
+  const open = typeof el.open === 'function'
+    ? el.open(renderSlotScope(el, context))
+    : el.open
   if (isUndef(el.children) || el.children.length === 0) {
-    write(el.open + (el.close || ''), next)
+    write(open + (el.close || ''), next)
   } else {
     const children: Array<VNode> = el.children
     context.renderStates.push({
@@ -287,8 +612,22 @@ function renderStringNode (el, context) {
       total: children.length,
       endTag: el.close
     })
-    write(el.open, next)
+    write(open, next)
+  }
+}
+
+// slot contents get the scope id of the component rendering them, like the
+// elements rendered by renderStartingTag
+function renderSlotScope (node, context): string {
+  const activeInstance = context.activeInstance
+  let scopeId
+  if (isDef(activeInstance) &&
+    activeInstance !== node.context &&
+    isDef(scopeId = activeInstance.$options._scopeId)
+  ) {
+    return ` ${(scopeId: any)}`
   }
+  return ''
 }
 
 function renderElement (el, isRoot, context) {
@@ -302,6 +641,7 @@ function renderElement (el, isRoot, context) {
 
   if (el.fnOptions) {
     registerComponentForCache(el.fnOptions, write)
+    registerScopeId(el.fnOptions, context)
   }
 
   const startTag = renderStartingTag(el, context)
@@ -410,7 +750,9 @@ export function createRenderFunction (
   modules: Array<(node: VNode) => ?string>,
   directives: Object,
   isUnaryTag: Function,
-  cache: any
+  cache: any,
+  profile?: boolean | (report: ProfileEntry, userContext: ?Object) => void,
+  timeout?: number
 ) {
   return function render (
     component: Component,
@@ -419,19 +761,62 @@ export function createRenderFunction (
     done: Function
   ) {
     warned = Object.create(null)
+    let profiler
+    if (profile) {
+      const _profiler = profiler = new RenderProfiler()
+      const _done = done
+      done = err => {
+        const report = _profiler.finish()
+        if (userContext) {
+          userContext.renderProfile = report
+        }
+        if (typeof profile === 'function') {
+          profile(report, userContext)
+        }
+        _done(err)
+      }
+    }
+    // subtrees still waiting on serverPrefetch or async components when the
+    // deadline passes are rendered as their placeholder instead.
+    const deadline = resolveDeadline(timeout, userContext)
+    if (deadline != null && userContext) {
+      userContext.skippedComponents = []
+    }
+    const deferred = new DeferredRender(write, done, userContext, deadline)
     const context = new RenderContext({
       activeInstance: component,
       userContext,
-      write, done, renderNode,
+      write,
+      done: err => {
+        if (err) {
+          deferred.reject(err)
+        } else {
+          deferred.finish()
+        }
+      },
+      renderNode,
       isUnaryTag, modules, directives,
-      cache
+      cache,
+      deferred,
+      deadline,
+      profiler,
+      profile: profiler && profiler.root
     })
     installSSRHelpers(component)
     normalizeRender(component)
 
     const resolve = () => {
+      collectHead(component, userContext)
       renderNode(component._render(), true, context)
     }
-    waitForServerPrefetch(component, resolve, done)
+    waitForServerPrefetch(component, context, resolve, done, () => {
+      const placeholder = component.$options.serverPlaceholder
+      renderTimedOut(
+        'Root',
+        placeholder && placeholder.call(component, component.$createElement),
+        true,
+        context
+      )
+    })
   }
 }
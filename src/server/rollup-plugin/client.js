@@ -0,0 +1,74 @@
+import { isJS, isCSS, isChunk, emitAsset, getModuleIdentifier } from './util'
+
+export default function VueSSRClientPlugin (options = {}) {
+  options = Object.assign({
+    filename: 'vue-ssr-client-manifest.json',
+    // rollup has no notion of public path, it is where the client build
+    // output is served from.
+    publicPath: '/',
+    // the id a module registers in context._registeredComponents when it
+    // is rendered on the server, see getModuleIdentifier.
+    moduleIdentifier: getModuleIdentifier
+  }, options)
+
+  return {
+    name: 'vue-client-plugin',
+
+    generateBundle (outputOptions, bundle) {
+      const files = Object.keys(bundle).map(name => bundle[name])
+      const allFiles = files.map(file => file.fileName)
+
+      // entry chunks and everything they statically import are loaded
+      // upfront, as well as the emitted stylesheets which rollup does not
+      // associate with a chunk.
+      const initialFiles = []
+      const addInitial = fileName => {
+        if (initialFiles.indexOf(fileName) < 0) {
+          initialFiles.push(fileName)
+          const chunk = bundle[fileName]
+          if (chunk && isChunk(chunk)) {
+            chunk.imports.forEach(addInitial)
+          }
+        }
+      }
+      files.forEach(file => {
+        if (isChunk(file) ? file.isEntry : isCSS(file.fileName)) {
+          addInitial(file.fileName)
+        }
+      })
+
+      const asyncFiles = allFiles
+        .filter((file) => isJS(file) || isCSS(file))
+        .filter(file => initialFiles.indexOf(file) < 0)
+
+      const manifest = {
+        publicPath: options.publicPath,
+        all: allFiles,
+        initial: initialFiles.filter((file) => isJS(file) || isCSS(file)),
+        async: asyncFiles,
+        modules: { /* [identifier: string]: Array<index: number> */ }
+      }
+
+      const fileToIndex = file => manifest.all.indexOf(file)
+      const modulesChunks = {}
+      files.filter(isChunk).forEach(chunk => {
+        Object.keys(chunk.modules).forEach(id => {
+          (modulesChunks[id] || (modulesChunks[id] = [])).push(chunk)
+        })
+      })
+      Object.keys(modulesChunks).forEach(id => {
+        const chunks = modulesChunks[id]
+        // ignore modules duplicated in multiple chunks
+        if (chunks.length === 1) {
+          const chunk = chunks[0]
+          // assets referenced by the chunk (import.meta.ROLLUP_FILE_URL)
+          manifest.modules[options.moduleIdentifier(id)] = [chunk.fileName]
+            .concat(chunk.referencedFiles || [])
+            .map(fileToIndex)
+        }
+      })
+
+      emitAsset(this, bundle, options.filename, JSON.stringify(manifest, null, 2))
+    }
+  }
+}
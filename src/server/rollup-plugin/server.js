@@ -0,0 +1,59 @@
+import { validate, isJS, isESM, isChunk, emitAsset } from './util'
+
+export default function VueSSRServerPlugin (options = {}) {
+  options = Object.assign({
+    filename: 'vue-ssr-server-bundle.json'
+  }, options)
+
+  return {
+    name: 'vue-server-plugin',
+
+    generateBundle (outputOptions, bundle) {
+      validate(outputOptions, true)
+
+      const names = Object.keys(bundle)
+      const entries = names.filter(name => {
+        return isChunk(bundle[name]) && bundle[name].isEntry
+      })
+
+      if (entries.length > 1) {
+        throw new Error(
+          `Server-side bundle should have one single entry file. ` +
+          `Avoid using multiple inputs in the server config.`
+        )
+      }
+
+      const entry = entries[0]
+      if (!entry) {
+        throw new Error(`Entry not found. Did you specify the correct input option?`)
+      }
+
+      const serverBundle = {
+        entry,
+        files: {},
+        maps: {}
+      }
+      // ES module bundles are loaded with vm.SourceTextModule by the renderer,
+      // the chunks of commonjs bundles require each other's exports objects.
+      serverBundle.type = isESM(outputOptions) ? 'module' : 'commonjs'
+
+      names.forEach(name => {
+        const file = bundle[name]
+        if (isChunk(file)) {
+          serverBundle.files[name] = file.code
+          if (file.map) {
+            serverBundle.maps[name] = JSON.parse(file.map.toString())
+          }
+        } else if (isJS(name)) {
+          serverBundle.files[name] = String(file.source)
+        } else if (name.match(/\.js\.map$/)) {
+          serverBundle.maps[name.replace(/\.map$/, '')] = JSON.parse(String(file.source))
+        }
+        // do not emit anything else for server
+        delete bundle[name]
+      })
+
+      emitAsset(this, bundle, options.filename, JSON.stringify(serverBundle, null, 2))
+    }
+  }
+}
@@ -0,0 +1,41 @@
+const fs = require('fs')
+const path = require('path')
+const hash = require('hash-sum')
+const { red } = require('chalk')
+
+const prefix = `[vue-server-renderer-rollup-plugin]`
+export const warn = msg => console.error(red(`${prefix} ${msg}\n`))
+
+export const isESM = outputOptions => /^es(m|module)?$/.test(outputOptions.format)
+
+export const validate = (outputOptions, allowESM) => {
+  if (outputOptions.format !== 'cjs' && !(allowESM && isESM(outputOptions))) {
+    warn(`rollup output \`format\` should be "cjs"${allowESM ? ' or "es"' : ''}.`)
+  }
+}
+
+// rollup-plugin-vue compiled with `template.optimizeSSR` registers single
+// file components by their scope id, which hashes the file path (only its
+// base name in production) together with the source.
+export const getModuleIdentifier = id => {
+  if (/\.vue$/.test(id) && fs.existsSync(id)) {
+    const isProduction = process.env.NODE_ENV === 'production' ||
+      process.env.BUILD === 'production'
+    const source = fs.readFileSync(id, 'utf-8')
+    return 'data-v-' + hash((isProduction ? path.basename(id) : id) + source)
+  }
+  return hash(id)
+}
+
+export const isChunk = file => !(file.isAsset || file.type === 'asset')
+
+export const emitAsset = (context, bundle, fileName, source) => {
+  if (context.emitFile) {
+    // Rollup >= 1.21.0
+    context.emitFile({ type: 'asset', fileName, source })
+  } else {
+    bundle[fileName] = { fileName, isAsset: true, source }
+  }
+}
+
+export { isJS, isCSS } from '../util'
@@ -0,0 +1,279 @@
+/**
+ * Transfer of the initial state from the server to the client, preserving
+ * values that JSON cannot represent: Date, RegExp, Error, Map, Set, BigInt,
+ * typed arrays, instances of registered classes, undefined, non-finite
+ * numbers and shared or circular references.
+ *
+ * Such values are encoded as `{ "$t": type, "v": value }` objects, everything
+ * else is left as is so that plain state stays plain JSON. References are
+ * encoded as the index of the referenced object in the order objects are
+ * first met, which the reviver reproduces by walking the payload in the same
+ * order. This module is used on both sides, so it must not depend on node.
+ */
+
+/* global BigInt */
+
+const TYPE_KEY = '$t'
+
+const typedArrays = [
+  'Int8Array', 'Uint8Array', 'Uint8ClampedArray', 'Int16Array', 'Uint16Array',
+  'Int32Array', 'Uint32Array', 'Float32Array', 'Float64Array',
+  'BigInt64Array', 'BigUint64Array'
+]
+
+const errorTypes = [
+  'Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError',
+  'TypeError', 'URIError'
+]
+
+const globalObject = typeof window !== 'undefined' ? window : global
+
+const toString = Object.prototype.toString
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key)
+
+// characters that could end the script tag the state is inlined in, or that
+// are not valid in JS strings before ES2019
+const unsafeCharsRE = /[<>\/\u2028\u2029]/g
+const escapedChars = {
+  '<': '\\u003C',
+  '>': '\\u003E',
+  '/': '\\u002F',
+  '\u2028': '\\u2028',
+  '\u2029': '\\u2029'
+}
+
+function getClassName (classes, Ctor) {
+  for (const name in classes) {
+    if (classes[name] === Ctor) {
+      return name
+    }
+  }
+}
+
+// instances of classes that are not registered lose their prototype, which
+// is reported once per class
+const warnedClasses = []
+function warnUnregisteredClass (Ctor) {
+  if (warnedClasses.indexOf(Ctor) < 0) {
+    warnedClasses.push(Ctor)
+    // eslint-disable-next-line no-console
+    console.error(
+      `[vue-server-renderer] state contains an instance of "${Ctor.name}" ` +
+      `but the class is not registered, it is transferred as a plain object.`
+    )
+  }
+}
+
+function getClass (classes, name) {
+  const Ctor = classes && hasOwn(classes, name) && classes[name]
+  if (!Ctor) {
+    throw new Error(`[vue-server-renderer] state contains an instance of "${name}" but the class is not registered.`)
+  }
+  return Ctor
+}
+
+export function encodeState (state, options = {}) {
+  const classes = options.classes || {}
+  const seen = new Map()
+
+  const encode = value => {
+    const type = typeof value
+    if (type === 'undefined') {
+      return { [TYPE_KEY]: 'undefined' }
+    }
+    if (type === 'number') {
+      return isFinite(value) ? value : { [TYPE_KEY]: 'Number', v: String(value) }
+    }
+    if (type === 'bigint') {
+      return { [TYPE_KEY]: 'BigInt', v: value.toString() }
+    }
+    if (value === null || type !== 'object') {
+      // functions and symbols are dropped as in JSON
+      return type === 'function' || type === 'symbol' ? undefined : value
+    }
+
+    if (seen.has(value)) {
+      return { [TYPE_KEY]: 'Ref', v: seen.get(value) }
+    }
+    seen.set(value, seen.size)
+
+    if (Array.isArray(value)) {
+      return value.map(encode)
+    }
+    const tag = toString.call(value).slice(8, -1)
+    if (tag === 'Date') {
+      const time = value.getTime()
+      return { [TYPE_KEY]: 'Date', v: isNaN(time) ? null : time }
+    }
+    if (tag === 'RegExp') {
+      return { [TYPE_KEY]: 'RegExp', v: [value.source, value.flags] }
+    }
+    if (tag === 'Error') {
+      return { [TYPE_KEY]: 'Error', n: value.name, v: value.message }
+    }
+    if (tag === 'Map') {
+      const entries = []
+      value.forEach((val, key) => {
+        entries.push([encode(key), encode(val)])
+      })
+      return { [TYPE_KEY]: 'Map', v: entries }
+    }
+    if (tag === 'Set') {
+      const items = []
+      value.forEach(item => {
+        items.push(encode(item))
+      })
+      return { [TYPE_KEY]: 'Set', v: items }
+    }
+    if (typedArrays.indexOf(tag) > -1) {
+      const items = Array.prototype.slice.call(value)
+      return {
+        [TYPE_KEY]: tag,
+        v: /^Big/.test(tag) ? items.map(String) : items
+      }
+    }
+
+    const proto = Object.getPrototypeOf(value)
+    const Ctor = proto && proto !== Object.prototype
+      ? proto.constructor
+      : undefined
+    const className = Ctor ? getClassName(classes, Ctor) : undefined
+    const res = encodeObject(value, encode)
+    if (className) {
+      return { [TYPE_KEY]: 'Class', n: className, v: res }
+    }
+    if (typeof Ctor === 'function') {
+      warnUnregisteredClass(Ctor)
+    }
+    // plain objects using the type key are wrapped to be told apart
+    return hasOwn(res, TYPE_KEY) ? { [TYPE_KEY]: 'Object', v: res } : res
+  }
+
+  return encode(state)
+}
+
+function encodeObject (value, encode) {
+  const res = {}
+  const keys = Object.keys(value)
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    // observers of reactive objects are not part of the state
+    if (key !== '__ob__') {
+      const encoded = encode(value[key])
+      if (encoded !== undefined) {
+        res[key] = encoded
+      }
+    }
+  }
+  return res
+}
+
+export function reviveState (payload, options = {}) {
+  const classes = options.classes
+  const refs = []
+
+  const revive = value => {
+    if (value === null || typeof value !== 'object') {
+      return value
+    }
+    if (Array.isArray(value)) {
+      const res = []
+      refs.push(res)
+      for (let i = 0; i < value.length; i++) {
+        res.push(revive(value[i]))
+      }
+      return res
+    }
+    if (!hasOwn(value, TYPE_KEY)) {
+      return reviveObject({}, value, revive, refs)
+    }
+
+    const type = value[TYPE_KEY]
+    const v = value.v
+    switch (type) {
+      case 'undefined':
+        return undefined
+      case 'Number':
+        return Number(v)
+      case 'BigInt':
+        return BigInt(v)
+      case 'Ref':
+        return refs[v]
+      case 'Object':
+        return reviveObject({}, v, revive, refs)
+      case 'Class':
+        return reviveObject(Object.create(getClass(classes, value.n).prototype), v, revive, refs)
+      case 'RegExp': {
+        const res = new RegExp(v[0], v[1])
+        refs.push(res)
+        return res
+      }
+      case 'Error': {
+        const name = value.n
+        const Ctor = errorTypes.indexOf(name) > -1 && globalObject[name]
+        const res = new (Ctor || Error)(v)
+        if (res.name !== name) {
+          res.name = name
+        }
+        refs.push(res)
+        return res
+      }
+      case 'Date': {
+        const res = new Date(v === null ? NaN : v)
+        refs.push(res)
+        return res
+      }
+      case 'Map': {
+        const res = new Map()
+        refs.push(res)
+        v.forEach(entry => {
+          const key = revive(entry[0])
+          res.set(key, revive(entry[1]))
+        })
+        return res
+      }
+      case 'Set': {
+        const res = new Set()
+        refs.push(res)
+        v.forEach(item => {
+          res.add(revive(item))
+        })
+        return res
+      }
+    }
+    if (typedArrays.indexOf(type) > -1 && globalObject[type]) {
+      const items = /^Big/.test(type)
+        ? v.map(item => BigInt(item))
+        : v
+      const res = new globalObject[type](items)
+      refs.push(res)
+      return res
+    }
+    throw new Error(`[vue-server-renderer] unknown type "${type}" in the state payload.`)
+  }
+
+  return revive(payload)
+}
+
+function reviveObject (res, value, revive, refs) {
+  refs.push(res)
+  const keys = Object.keys(value)
+  for (let i = 0; i < keys.length; i++) {
+    res[keys[i]] = revive(value[keys[i]])
+  }
+  return res
+}
+
+/**
+ * Create a function that can be used as the `serializer` option of the
+ * renderer. Its output is a JS expression that evaluates to the payload to
+ * pass to `reviveState` on the client.
+ */
+export function createStateSerializer (options = {}) {
+  return state => {
+    const json = JSON.stringify(encodeState(state, options))
+    return json === undefined
+      ? 'undefined'
+      : json.replace(unsafeCharsRE, c => escapedChars[c])
+  }
+}
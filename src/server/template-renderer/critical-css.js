@@ -0,0 +1,218 @@
+/* @flow */
+
+/**
+ * Critical CSS: the rules of the client CSS files that are needed by the
+ * components rendered for a request. Files are picked from the client
+ * manifest with the components registered during the render, and scoped
+ * rules (`[data-v-xxx]` selectors) are only kept for the components that were
+ * actually rendered. Other rules are always kept.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+import type { ClientManifest } from './index'
+
+type CSSNode = {
+  type: 'rule';
+  selector: string;
+  text: string;
+} | {
+  type: 'group';
+  prelude: string;
+  children: Array<CSSNode>;
+} | {
+  type: 'other';
+  text: string;
+};
+
+export type CriticalCSSOptions = {
+  // directory of the client build output, where the manifest files are
+  basedir?: string;
+  // reads a css file of the client manifest, defaults to reading it from basedir
+  readFile?: (file: string) => string;
+};
+
+const groupRuleRE = /^@(media|supports|document|layer|container)\b/
+const scopeIdRE = /\[(data-v-[\w-]+)\]/g
+
+export function createCriticalCSS (
+  options: CriticalCSSOptions,
+  clientManifest: ClientManifest
+) {
+  const { basedir } = options
+  const readFile = options.readFile || (file => {
+    if (!basedir) {
+      throw new Error('criticalCSS requires either the "basedir" or the "readFile" option.')
+    }
+    return fs.readFileSync(path.join(basedir, file), 'utf-8')
+  })
+  const parsed: Map<string, Array<CSSNode>> = new Map()
+  const mapFiles = createCSSMapper(clientManifest)
+
+  return {
+    // css files of the client build used by the given modules
+    mapFiles,
+    render (file: string, scopeIds: Set<string>): string {
+      let nodes = parsed.get(file)
+      if (!nodes) {
+        nodes = parseCSS(readFile(file))
+        parsed.set(file, nodes)
+      }
+      return stringify(nodes, scopeIds)
+    }
+  }
+}
+
+function createCSSMapper (clientManifest: ClientManifest) {
+  const { all, modules } = clientManifest
+  return (moduleIds: Array<string>): Array<string> => {
+    const res = new Set()
+    moduleIds.forEach(id => {
+      (modules[id] || []).forEach(index => {
+        if (/\.css($|\?)/.test(all[index])) {
+          res.add(all[index])
+        }
+      })
+    })
+    return Array.from(res)
+  }
+}
+
+function parseCSS (css: string): Array<CSSNode> {
+  const nodes = []
+  let i = 0
+  while (i < css.length) {
+    i = skipSpaceAndComments(css, i)
+    if (i >= css.length) {
+      break
+    }
+    const end = findPreludeEnd(css, i)
+    const prelude = css.slice(i, end).trim()
+    if (css[end] !== '{') {
+      // statements such as @import or @charset
+      nodes.push({ type: 'other', text: css.slice(i, end + 1) })
+      i = end + 1
+      continue
+    }
+    const close = findBlockEnd(css, end + 1)
+    const body = css.slice(end + 1, close)
+    if (groupRuleRE.test(prelude)) {
+      nodes.push({ type: 'group', prelude, children: parseCSS(body) })
+    } else if (prelude.charAt(0) === '@') {
+      // @font-face, @keyframes, @page...
+      nodes.push({ type: 'other', text: `${prelude}{${body}}` })
+    } else {
+      nodes.push({ type: 'rule', selector: prelude, text: `${prelude}{${body}}` })
+    }
+    i = close + 1
+  }
+  return nodes
+}
+
+function stringify (nodes: Array<CSSNode>, scopeIds: Set<string>): string {
+  let res = ''
+  nodes.forEach(node => {
+    if (node.type === 'rule') {
+      if (isSelectorUsed(node.selector, scopeIds)) {
+        res += node.text
+      }
+    } else if (node.type === 'group') {
+      const children = stringify(node.children, scopeIds)
+      if (children) {
+        res += `${node.prelude}{${children}}`
+      }
+    } else {
+      res += node.text
+    }
+  })
+  return res
+}
+
+// a rule is used if one of its selectors only refers to rendered scopes
+function isSelectorUsed (selector: string, scopeIds: Set<string>): boolean {
+  return splitSelectors(selector).some(sel => {
+    let match
+    scopeIdRE.lastIndex = 0
+    while ((match = scopeIdRE.exec(sel))) {
+      if (!scopeIds.has(match[1])) {
+        return false
+      }
+    }
+    return true
+  })
+}
+
+function splitSelectors (selector: string): Array<string> {
+  const res = []
+  let depth = 0
+  let start = 0
+  for (let i = 0; i < selector.length; i++) {
+    const c = selector[i]
+    if (c === '(' || c === '[') depth++
+    else if (c === ')' || c === ']') depth--
+    else if (c === ',' && depth === 0) {
+      res.push(selector.slice(start, i))
+      start = i + 1
+    }
+  }
+  res.push(selector.slice(start))
+  return res
+}
+
+function skipSpaceAndComments (css: string, i: number): number {
+  while (i < css.length) {
+    if (/\s/.test(css[i])) {
+      i++
+    } else if (css[i] === '/' && css[i + 1] === '*') {
+      const end = css.indexOf('*/', i + 2)
+      i = end < 0 ? css.length : end + 2
+    } else {
+      break
+    }
+  }
+  return i
+}
+
+// index of the `{` or `;` ending the prelude starting at i
+function findPreludeEnd (css: string, i: number): number {
+  while (i < css.length && css[i] !== '{' && css[i] !== ';') {
+    i = skipToken(css, i)
+  }
+  return i
+}
+
+// index of the `}` closing the block whose content starts at i
+function findBlockEnd (css: string, i: number): number {
+  let depth = 0
+  while (i < css.length) {
+    const c = css[i]
+    if (c === '{') {
+      depth++
+    } else if (c === '}') {
+      if (depth === 0) {
+        return i
+      }
+      depth--
+    }
+    i = skipToken(css, i)
+  }
+  return i
+}
+
+// skips strings and comments as a whole, or a single character
+function skipToken (css: string, i: number): number {
+  const c = css[i]
+  if (c === '"' || c === '\'') {
+    i++
+    while (i < css.length && css[i] !== c) {
+      i += css[i] === '\\' ? 2 : 1
+    }
+    return i + 1
+  }
+  if (c === '/' && css[i + 1] === '*') {
+    const end = css.indexOf('*/', i + 2)
+    return end < 0 ? css.length : end + 2
+  }
+  return i + 1
+}
@@ -4,11 +4,17 @@ const path = require('path')
 const serialize = require('serialize-javascript')
 
 import { isJS, isCSS } from '../util'
+import { escape, renderNonceAttr } from 'web/server/util'
+import { mergeHead } from 'web/util/head'
+import type { ResolvedHeadTag } from 'web/util/head'
+import { HEAD_ATTR } from 'shared/constants'
 import TemplateStream from './template-stream'
 import { parseTemplate } from './parse-template'
 import { createMapper } from './create-async-file-mapper'
+import { createCriticalCSS } from './critical-css'
 import type { ParsedTemplate } from './parse-template'
 import type { AsyncFileMapper } from './create-async-file-mapper'
+import type { CriticalCSSOptions } from './critical-css'
 
 type TemplateRendererOptions = {
   template?: string | (content: string, context: any) => string;
@@ -17,6 +23,7 @@ type TemplateRendererOptions = {
   shouldPreload?: (file: string, type: string) => boolean;
   shouldPrefetch?: (file: string, type: string) => boolean;
   serializer?: Function;
+  criticalCSS?: CriticalCSSOptions;
 };
 
 export type ClientManifest = {
@@ -32,6 +39,40 @@ export type ClientManifest = {
   }
 };
 
+type StateEntry = {
+  // a function is called when the state is injected
+  value: any;
+  // 'script' assigns the state to `window[key]`, 'json' renders it as a
+  // <script type="application/json"> block with `key` as its id.
+  type?: 'script' | 'json';
+  // write the state right after the component that declared it has been
+  // rendered instead of at the end of the document (scripts only).
+  stream?: boolean;
+  serializer?: Function;
+};
+
+// removes the current script once it has run
+const AUTO_REMOVE =
+  ';(function(){var s;(s=document.currentScript||document.scripts[document.scripts.length-1]).parentNode.removeChild(s);}());'
+
+// applies the head tags resolved after the head of the document was written:
+// sets the title and replaces (or appends) the tags sharing their key.
+const HEAD_UPDATE =
+  `function(h){var d=document,e=d.head.querySelectorAll("[${HEAD_ATTR}]"),o={},i,k,t,n;` +
+  `for(i=0;i<e.length;i++)o[e[i].getAttribute("${HEAD_ATTR}")]=e[i];` +
+  `if(h.title!=null)d.title=h.title;` +
+  `for(i=0;i<h.tags.length;i++){t=h.tags[i];n=d.createElement(t.type);n.setAttribute("${HEAD_ATTR}",t.key);` +
+  `for(k in t.attrs)n.setAttribute(k,t.attrs[k]);if(t.innerHTML!=null)n.innerHTML=t.innerHTML;` +
+  `if(o[t.key])o[t.key].parentNode.replaceChild(n,o[t.key]);else d.head.appendChild(n)}}`
+
+export type ResourceHint = {
+  rel: 'preload' | 'prefetch';
+  href: string;
+  as?: string;
+  type?: string;
+  crossorigin?: boolean;
+};
+
 type Resource = {
   file: string;
   extension: string;
@@ -49,6 +90,10 @@ export default class TemplateRenderer {
   prefetchFiles: Array<Resource>;
   mapFiles: AsyncFileMapper;
   serialize: Function;
+  criticalCSS: ?{
+    mapFiles: (moduleIds: Array<string>) => Array<string>;
+    render: (file: string, scopeIds: Set<string>) => string;
+  };
 
   constructor (options: TemplateRendererOptions) {
     this.options = options
@@ -80,16 +125,23 @@ export default class TemplateRenderer {
       this.prefetchFiles = (clientManifest.async || []).map(normalizeFile)
       // initial async chunk mapping
       this.mapFiles = createMapper(clientManifest)
+      // inline the css needed by the rendered components
+      if (options.criticalCSS) {
+        this.criticalCSS = createCriticalCSS(options.criticalCSS, clientManifest)
+      }
     }
   }
 
   bindRenderFns (context: Object) {
     const renderer: any = this
-    ;['ResourceHints', 'State', 'Scripts', 'Styles'].forEach(type => {
+    ;['Head', 'HeadUpdate', 'ResourceHints', 'State', 'Scripts', 'Styles', 'DeferredStyles', 'LinkHeader'].forEach(type => {
       context[`render${type}`] = renderer[`render${type}`].bind(renderer, context)
     })
     // also expose getPreloadFiles, useful for HTTP/2 push
     context.getPreloadFiles = renderer.getPreloadFiles.bind(renderer, context)
+    context.getResourceHints = renderer.getResourceHints.bind(renderer, context)
+    // used by the render to stream state entries along the app content
+    context._renderStreamedStates = () => renderer.renderStates(context, true)
   }
 
   // render synchronously given rendered app content and render context
@@ -104,43 +156,170 @@ export default class TemplateRenderer {
       return template(content, context)
     }
 
+    return this.renderStart(context) + content + this.renderEnd(context)
+  }
+
+  // render the part of the template preceding the app content, including
+  // injected head tags.
+  renderStart (context: Object): string {
+    const template: ParsedTemplate = (this.parsedTemplate: any)
     if (this.inject) {
       return (
         template.head(context) +
         (context.head || '') +
+        this.renderHead(context) +
         this.renderResourceHints(context) +
         this.renderStyles(context) +
-        template.neck(context) +
-        content +
-        this.renderState(context) +
-        this.renderScripts(context) +
-        template.tail(context)
+        template.neck(context)
       )
     } else {
+      return template.head(context) + template.neck(context)
+    }
+  }
+
+  // render the part of the template following the app content, including
+  // injected state and scripts.
+  renderEnd (context: Object): string {
+    const template: ParsedTemplate = (this.parsedTemplate: any)
+    if (this.inject) {
       return (
-        template.head(context) +
-        template.neck(context) +
-        content +
+        this.renderHeadUpdate(context) +
+        this.renderState(context) +
+        this.renderDeferredStyles(context) +
+        this.renderScripts(context) +
         template.tail(context)
       )
+    } else {
+      return template.tail(context)
     }
   }
 
   renderStyles (context: Object): string {
-    const initial = this.preloadFiles || []
-    const async = this.getUsedAsyncFiles(context) || []
-    const cssFiles = initial.concat(async).filter(({ file }) => isCSS(file))
+    const nonceAttr = renderNonceAttr(context)
     return (
-      // render links for css files
-      (cssFiles.length
-        ? cssFiles.map(({ file }) => `<link rel="stylesheet" href="${this.publicPath}${file}">`).join('')
-        : '') +
+      // render links for css files, or the part of them that is needed
+      // to render the app when critical css is enabled
+      (this.criticalCSS
+        ? this.renderCriticalCSS(context)
+        : this.renderStyleLinks(context)) +
       // context.styles is a getter exposed by vue-style-loader which contains
       // the inline component styles collected during SSR
-      (context.styles || '')
+      (nonceAttr && context.styles
+        ? context.styles.replace(/<style(?=[\s>])(?![^>]*\snonce=)/g, `<style${nonceAttr}`)
+        : context.styles || '')
     )
   }
 
+  getUsedCSSFiles (context: Object): Array<Resource> {
+    const initial = this.preloadFiles || []
+    const async = this.getUsedAsyncFiles(context) || []
+    return initial.concat(async).filter(({ file }) => isCSS(file))
+  }
+
+  renderStyleLinks (context: Object): string {
+    const nonceAttr = renderNonceAttr(context)
+    return this.getUsedCSSFiles(context).map(({ file }) => {
+      return `<link rel="stylesheet" href="${this.publicPath}${file}"${nonceAttr}>`
+    }).join('')
+  }
+
+  // inline the rules of the css files that contain the components registered
+  // so far (all files when components are not registered), leaving out the
+  // scoped rules of components that were not rendered. with renderToStream,
+  // only the components rendered before the first chunk are known.
+  renderCriticalCSS (context: Object): string {
+    const criticalCSS = this.criticalCSS
+    if (!criticalCSS) {
+      return ''
+    }
+    const cssFiles = this.getUsedCSSFiles(context)
+    const registered = context._registeredComponents
+    const usedFiles = registered && registered.size
+      ? criticalCSS.mapFiles(Array.from(registered))
+      : cssFiles.map(({ file }) => file)
+    const scopeIds = context._scopeIds || new Set()
+    const css = cssFiles
+      .filter(({ file }) => usedFiles.indexOf(file) > -1)
+      .map(({ file }) => criticalCSS.render(file, scopeIds))
+      .join('')
+    return css
+      ? `<style data-vue-ssr-critical${renderNonceAttr(context)}>${css.replace(/<\/style/gi, '<\\/style')}</style>`
+      : ''
+  }
+
+  // with critical css, the stylesheets are loaded at the end of the body so
+  // that they don't block the first paint.
+  renderDeferredStyles (context: Object): string {
+    return this.criticalCSS ? this.renderStyleLinks(context) : ''
+  }
+
+  // render the title and tags declared by the `head` option of the
+  // components rendered so far. each tag carries its dedupe key so that the
+  // client can take it over after hydration.
+  renderHead (context: Object): string {
+    // what has been written, so that renderHeadUpdate can apply the rest
+    const rendered = context._renderedHead = {}
+    if (!context._headEntries) {
+      return ''
+    }
+    const { title, tags } = mergeHead(context._headEntries)
+    const nonceAttr = renderNonceAttr(context)
+    let markup = ''
+    if (title != null) {
+      rendered.title = title
+      markup += `<title ${HEAD_ATTR}="title">${escape(title)}</title>`
+    }
+    tags.forEach(tag => {
+      markup += (rendered[tag.key] = renderHeadTag(tag, nonceAttr))
+    })
+    return markup
+  }
+
+  // when streaming, the head of the document is written along with the first
+  // chunk of the app, before the components rendered later (e.g. after their
+  // serverPrefetch, or in deferred subtrees) have declared their head. the
+  // title and tags added or changed since then are applied by a script.
+  renderHeadUpdate (context: Object): string {
+    const rendered = context._renderedHead
+    if (!rendered || !context._headEntries) {
+      return ''
+    }
+    const { title, tags } = mergeHead(context._headEntries)
+    const nonceAttr = renderNonceAttr(context)
+    const update: { title: ?string, tags: Array<Object> } = { title: null, tags: [] }
+    if (title != null && rendered.title !== title) {
+      rendered.title = update.title = title
+    }
+    tags.forEach(tag => {
+      const markup = renderHeadTag(tag, nonceAttr)
+      if (rendered[tag.key] !== markup) {
+        rendered[tag.key] = markup
+        const attrs = {}
+        Object.keys(tag.attrs).forEach(name => {
+          const value = tag.attrs[name]
+          if (value != null && value !== false) {
+            attrs[name] = value === true ? '' : String(value)
+          }
+        })
+        if (tag.type === 'script' && context.nonce) {
+          attrs.nonce = String(context.nonce)
+        }
+        update.tags.push({
+          type: tag.type,
+          key: tag.key,
+          attrs,
+          innerHTML: tag.innerHTML
+        })
+      }
+    })
+    if (update.title == null && !update.tags.length) {
+      return ''
+    }
+    return `<script${nonceAttr}>(${HEAD_UPDATE})(${
+      serialize(update, { isJSON: true })
+    })${AUTO_REMOVE}</script>`
+  }
+
   renderResourceHints (context: Object): string {
     return this.renderPreloadLinks(context) + this.renderPrefetchLinks(context)
   }
@@ -154,70 +333,142 @@ export default class TemplateRenderer {
     }
   }
 
-  renderPreloadLinks (context: Object): string {
-    const files = this.getPreloadFiles(context)
+  // the preload and prefetch links of the render as structured data, e.g.
+  // to send them as `Link` headers or 103 Early Hints. the preloads of the
+  // async chunks used by the app are only known once it has been rendered.
+  getResourceHints (context: Object): Array<ResourceHint> {
+    return this.getPreloadHints(context).concat(this.getPrefetchHints(context))
+  }
+
+  getPreloadHints (context: Object): Array<ResourceHint> {
     const shouldPreload = this.options.shouldPreload
-    if (files.length) {
-      return files.map(({ file, extension, fileWithoutQuery, asType }) => {
-        let extra = ''
-        // by default, we only preload scripts or css
-        if (!shouldPreload && asType !== 'script' && asType !== 'style') {
-          return ''
-        }
-        // user wants to explicitly control what to preload
-        if (shouldPreload && !shouldPreload(fileWithoutQuery, asType)) {
-          return ''
-        }
-        if (asType === 'font') {
-          extra = ` type="font/${extension}" crossorigin`
-        }
-        return `<link rel="preload" href="${
-          this.publicPath}${file
-        }"${
-          asType !== '' ? ` as="${asType}"` : ''
-        }${
-          extra
-        }>`
-      }).join('')
-    } else {
-      return ''
+    const hints = []
+    this.getPreloadFiles(context).forEach(({ file, extension, fileWithoutQuery, asType }) => {
+      // by default, we only preload scripts or css
+      if (!shouldPreload && asType !== 'script' && asType !== 'style') {
+        return
+      }
+      // user wants to explicitly control what to preload
+      if (shouldPreload && !shouldPreload(fileWithoutQuery, asType)) {
+        return
+      }
+      const hint: ResourceHint = { rel: 'preload', href: `${this.publicPath}${file}` }
+      if (asType !== '') {
+        hint.as = asType
+      }
+      if (asType === 'font') {
+        hint.type = `font/${extension}`
+        hint.crossorigin = true
+      }
+      hints.push(hint)
+    })
+    return hints
+  }
+
+  getPrefetchHints (context: Object): Array<ResourceHint> {
+    const shouldPrefetch = this.options.shouldPrefetch
+    if (!this.prefetchFiles) {
+      return []
+    }
+    const usedAsyncFiles = this.getUsedAsyncFiles(context)
+    const alreadyPreloaded = file => {
+      return usedAsyncFiles && usedAsyncFiles.some(f => f.file === file)
     }
+    return this.prefetchFiles.filter(({ file, fileWithoutQuery, asType }) => {
+      return (
+        !(shouldPrefetch && !shouldPrefetch(fileWithoutQuery, asType)) &&
+        !alreadyPreloaded(file)
+      )
+    }).map(({ file }) => ({ rel: 'prefetch', href: `${this.publicPath}${file}` }))
+  }
+
+  renderPreloadLinks (context: Object): string {
+    const nonceAttr = renderNonceAttr(context)
+    return this.getPreloadHints(context).map(hint => renderLinkTag(hint, nonceAttr)).join('')
   }
 
   renderPrefetchLinks (context: Object): string {
-    const shouldPrefetch = this.options.shouldPrefetch
-    if (this.prefetchFiles) {
-      const usedAsyncFiles = this.getUsedAsyncFiles(context)
-      const alreadyRendered = file => {
-        return usedAsyncFiles && usedAsyncFiles.some(f => f.file === file)
+    const nonceAttr = renderNonceAttr(context)
+    return this.getPrefetchHints(context).map(hint => renderLinkTag(hint, nonceAttr)).join('')
+  }
+
+  // the resource hints as the value of a `Link` header
+  renderLinkHeader (context: Object): string {
+    return formatLinkHeader(this.getResourceHints(context))
+  }
+
+  // pass the hints that were not reported yet to `context.onResourceHints`,
+  // called when the render starts and once the app has been rendered.
+  reportResourceHints (context: ?Object) {
+    if (!context || typeof context.onResourceHints !== 'function') {
+      return
+    }
+    const reported = context._reportedHints || (context._reportedHints = {})
+    // any async chunk may still be preloaded until the app is rendered
+    const rendered = !!context._renderDone
+    const hints = this.getResourceHints(context).filter(({ rel, href }) => {
+      const key = `${rel}:${href}`
+      if (reported[key] || (rel === 'prefetch' && !rendered)) {
+        return false
       }
-      return this.prefetchFiles.map(({ file, fileWithoutQuery, asType }) => {
-        if (shouldPrefetch && !shouldPrefetch(fileWithoutQuery, asType)) {
-          return ''
-        }
-        if (alreadyRendered(file)) {
-          return ''
-        }
-        return `<link rel="prefetch" href="${this.publicPath}${file}">`
-      }).join('')
-    } else {
-      return ''
+      reported[key] = true
+      return true
+    })
+    if (hints.length) {
+      context.onResourceHints(hints, formatLinkHeader(hints))
     }
   }
 
+  // without options, the state entries declared in `context.states` are
+  // rendered along with the default state.
   renderState (context: Object, options?: Object): string {
     const {
       contextKey = 'state',
       windowKey = '__INITIAL_STATE__'
     } = options || {}
     const state = this.serialize(context[contextKey])
-    const autoRemove = process.env.NODE_ENV === 'production'
-      ? ';(function(){var s;(s=document.currentScript||document.scripts[document.scripts.length-1]).parentNode.removeChild(s);}());'
-      : ''
-    const nonceAttr = context.nonce ? ` nonce="${context.nonce}"` : ''
-    return context[contextKey]
-      ? `<script${nonceAttr}>window.${windowKey}=${state}${autoRemove}</script>`
-      : ''
+    const nonceAttr = renderNonceAttr(context)
+    return (
+      (context[contextKey]
+        ? `<script${nonceAttr}>window.${windowKey}=${state}${process.env.NODE_ENV === 'production' ? AUTO_REMOVE : ''}</script>`
+        : '') +
+      (options ? '' : this.renderStates(context, false))
+    )
+  }
+
+  // render the entries of `context.states` that have not been rendered yet.
+  // entries are rendered once, either where the renderer streams them or
+  // with the rest of the state at the end of the document.
+  renderStates (context: Object, streamedOnly: boolean): string {
+    const { states } = context
+    if (!states) {
+      return ''
+    }
+    const rendered = context._renderedStates || (context._renderedStates = {})
+    const nonceAttr = renderNonceAttr(context)
+    return Object.keys(states).map(key => {
+      const entry: StateEntry = states[key]
+      const isJSON = entry.type === 'json'
+      // json blocks are left in the document, they can't be streamed inside
+      // the app content without breaking hydration.
+      if (rendered[key] || (streamedOnly && (!entry.stream || isJSON))) {
+        return ''
+      }
+      rendered[key] = true
+      // lazy entries are resolved at injection time
+      const value = typeof entry.value === 'function' ? entry.value() : entry.value
+      if (value === undefined) {
+        return ''
+      }
+      const state = (entry.serializer || this.serialize)(value)
+      if (isJSON) {
+        return `<script type="application/json" id="${escape(key)}"${nonceAttr}>${state}</script>`
+      }
+      const autoRemove = entry.stream || process.env.NODE_ENV === 'production'
+        ? AUTO_REMOVE
+        : ''
+      return `<script${nonceAttr}>window.${key}=${state}${autoRemove}</script>`
+    }).join('')
   }
 
   renderScripts (context: Object): string {
@@ -225,8 +476,9 @@ export default class TemplateRenderer {
       const initial = this.preloadFiles.filter(({ file }) => isJS(file))
       const async = (this.getUsedAsyncFiles(context) || []).filter(({ file }) => isJS(file))
       const needed = [initial[0]].concat(async, initial.slice(1))
+      const nonceAttr = renderNonceAttr(context)
       return needed.map(({ file }) => {
-        return `<script src="${this.publicPath}${file}" defer></script>`
+        return `<script src="${this.publicPath}${file}" defer${nonceAttr}></script>`
       }).join('')
     } else {
       return ''
@@ -234,11 +486,20 @@ export default class TemplateRenderer {
   }
 
   getUsedAsyncFiles (context: Object): ?Array<Resource> {
-    if (!context._mappedFiles && context._registeredComponents && this.mapFiles) {
-      const registered = Array.from(context._registeredComponents)
-      context._mappedFiles = this.mapFiles(registered).map(normalizeFile)
+    if (context._mappedFiles) {
+      return context._mappedFiles
     }
-    return context._mappedFiles
+    const registered = context._registeredComponents
+    if (!registered || !registered.size || !this.mapFiles) {
+      return
+    }
+    const files = this.mapFiles(Array.from(registered)).map(normalizeFile)
+    // components keep registering while the head of a stream is flushed,
+    // the files are only final once the app has been rendered.
+    if (context._renderDone) {
+      context._mappedFiles = files
+    }
+    return files
   }
 
   // create a transform stream
@@ -250,6 +511,49 @@ export default class TemplateRenderer {
   }
 }
 
+function renderHeadTag (
+  { type, key, attrs, innerHTML }: ResolvedHeadTag,
+  nonceAttr: string
+): string {
+  let markup = `<${type} ${HEAD_ATTR}="${escape(key)}"`
+  Object.keys(attrs).forEach(name => {
+    const value = attrs[name]
+    if (value === true) {
+      markup += ` ${name}`
+    } else if (value != null && value !== false) {
+      markup += ` ${name}="${escape(String(value))}"`
+    }
+  })
+  if (type === 'script') {
+    return `${markup}${nonceAttr}>${innerHTML || ''}</script>`
+  }
+  return markup + '>'
+}
+
+function renderLinkTag ({ rel, href, as, type, crossorigin }: ResourceHint, nonceAttr: string): string {
+  return `<link rel="${rel}" href="${href}"${
+    as ? ` as="${as}"` : ''
+  }${
+    type ? ` type="${type}"` : ''
+  }${
+    crossorigin ? ' crossorigin' : ''
+  }${
+    nonceAttr
+  }>`
+}
+
+function formatLinkHeader (hints: Array<ResourceHint>): string {
+  return hints.map(({ rel, href, as, type, crossorigin }) => {
+    return `<${href}>; rel=${rel}${
+      as ? `; as=${as}` : ''
+    }${
+      type ? `; type="${type}"` : ''
+    }${
+      crossorigin ? '; crossorigin' : ''
+    }`
+  }).join(', ')
+}
+
 function normalizeFile (file: string): Resource {
   const withoutQuery = file.replace(/\?.*/, '')
   const extension = path.extname(withoutQuery).slice(1)
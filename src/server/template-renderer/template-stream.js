@@ -43,6 +43,13 @@ export default class TemplateStream extends Transform {
         this.push(this.context.head)
       }
 
+      // title and tags declared by the `head` option of the components
+      // rendered so far, the rest is applied when the render ends
+      const head = this.renderer.renderHead(this.context)
+      if (head) {
+        this.push(head)
+      }
+
       // inline preload/prefetch directives for initial/async chunks
       const links = this.renderer.renderResourceHints(this.context)
       if (links) {
@@ -63,12 +70,24 @@ export default class TemplateStream extends Transform {
     this.emit('beforeEnd')
 
     if (this.inject) {
+      // head tags declared after the head was written
+      const headUpdate = this.renderer.renderHeadUpdate(this.context)
+      if (headUpdate) {
+        this.push(headUpdate)
+      }
+
       // inline initial store state
       const state = this.renderer.renderState(this.context)
       if (state) {
         this.push(state)
       }
 
+      // stylesheets deferred by critical css
+      const styles = this.renderer.renderDeferredStyles(this.context)
+      if (styles) {
+        this.push(styles)
+      }
+
       // embed scripts needed
       const scripts = this.renderer.renderScripts(this.context)
       if (scripts) {
@@ -46,5 +46,6 @@ export function createWriteFunction (
   cachedWrite.caching = false
   cachedWrite.cacheBuffer = []
   cachedWrite.componentBuffer = []
+  cachedWrite.cacheEntryOptions = []
   return cachedWrite
 }
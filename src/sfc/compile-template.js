@@ -0,0 +1,157 @@
+/* @flow */
+
+import { SourceMapGenerator } from 'source-map'
+import { compile } from 'web/compiler/index'
+import { ssrCompile } from 'web/server/compiler'
+import { extend } from 'shared/util'
+
+type CompileTemplateOptions = {
+  // name of the source in the source map
+  filename?: string;
+  // content of the file containing the template (e.g. a *.vue file parsed
+  // with `deindent: false`) and the offset of the template in it
+  source?: string;
+  start?: number;
+  compilerOptions?: CompilerOptions;
+  // also generate the render functions used by the server renderer
+  ssr?: boolean;
+};
+
+type CompileTemplateResult = {
+  ast: ?ASTElement;
+  render: string;
+  staticRenderFns: Array<string>;
+  ssrRender?: string;
+  ssrStaticRenderFns?: Array<string>;
+  // declares render, staticRenderFns, ssrRender and ssrStaticRenderFns
+  code: string;
+  map: Object;
+  errors: Array<string | WarningMessage>;
+  tips: Array<string | WarningMessage>;
+};
+
+type Mark = {
+  offset: number; // in the generated code
+  start: number; // in the template
+};
+
+const markRE = /\/\*@vue-map:(\d+)\*\//g
+
+// marks the generated code of each element with its position in the
+// template, the marks are turned into source map mappings once generated.
+const sourceMapModule: Object = {
+  transformCode (el: ASTElement, code: string): string {
+    return el.start != null ? `/*@vue-map:${el.start}*/${code}` : code
+  }
+}
+
+/**
+ * Compile a template into both the client render functions and the
+ * optimized server render functions, with a source map of the generated code.
+ */
+export function compileTemplate (
+  template: string,
+  options?: CompileTemplateOptions = {}
+): CompileTemplateResult {
+  const compilerOptions: CompilerOptions = extend({}, options.compilerOptions)
+  compilerOptions.modules = (compilerOptions.modules || []).concat(sourceMapModule)
+  compilerOptions.outputSourceRange = true
+
+  let code = ''
+  const marks: Array<Mark> = []
+  // declare a render function or a list of them, returns their code
+  const declare = (name: string, fns: Array<string>, isList: boolean) => {
+    code += `var ${name} = ${isList ? '[' : ''}`
+    const res = fns.map((fn, i) => {
+      const stripped = stripMarks(fn)
+      code += `${i ? ',' : ''}function () {`
+      stripped.marks.forEach(mark => {
+        marks.push({ offset: code.length + mark.offset, start: mark.start })
+      })
+      code += `${stripped.code}}`
+      return stripped.code
+    })
+    code += `${isList ? ']' : ''}\n`
+    return res
+  }
+
+  // the server compile reports the same errors and tips
+  const compiled = compile(template, compilerOptions)
+  const res: CompileTemplateResult = {
+    ast: compiled.ast,
+    render: declare('render', [compiled.render], false)[0],
+    staticRenderFns: declare('staticRenderFns', compiled.staticRenderFns, true),
+    code: '',
+    map: {},
+    errors: compiled.errors || [],
+    tips: compiled.tips || []
+  }
+  if (options.ssr !== false) {
+    const ssrCompiled = ssrCompile(template, compilerOptions)
+    res.ssrRender = declare('ssrRender', [ssrCompiled.render], false)[0]
+    res.ssrStaticRenderFns = declare('ssrStaticRenderFns', ssrCompiled.staticRenderFns, true)
+  }
+  res.code = code
+  res.map = generateSourceMap(template, code, marks, options)
+  return res
+}
+
+function stripMarks (marked: string): { code: string, marks: Array<Mark> } {
+  const marks = []
+  let removed = 0
+  const code = marked.replace(markRE, (match, start, offset) => {
+    marks.push({ offset: offset - removed, start: Number(start) })
+    removed += match.length
+    return ''
+  })
+  return { code, marks }
+}
+
+function generateSourceMap (
+  template: string,
+  code: string,
+  marks: Array<Mark>,
+  options: CompileTemplateOptions
+): Object {
+  const filename = options.filename || 'anonymous.vue'
+  const source = options.source || template
+  // element positions are relative to the trimmed template
+  const templateStart = (options.source && options.start || 0) +
+    template.length - template.replace(/^\s*/, '').length
+  const findGenerated = createPositionFinder(code)
+  const findOriginal = createPositionFinder(source)
+
+  const map = new SourceMapGenerator()
+  map.setSourceContent(filename, source)
+  marks.forEach(({ offset, start }) => {
+    map.addMapping({
+      source: filename,
+      generated: findGenerated(offset),
+      original: findOriginal(templateStart + start)
+    })
+  })
+  return map.toJSON()
+}
+
+// turns an offset in the string into a 1-based line and 0-based column
+function createPositionFinder (str: string) {
+  const lineStarts = [0]
+  for (let i = 0; i < str.length; i++) {
+    if (str.charCodeAt(i) === 10 /* \n */) {
+      lineStarts.push(i + 1)
+    }
+  }
+  return (offset: number): { line: number, column: number } => {
+    let low = 0
+    let high = lineStarts.length - 1
+    while (low < high) {
+      const mid = (low + high + 1) >> 1
+      if (lineStarts[mid] <= offset) {
+        low = mid
+      } else {
+        high = mid - 1
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] }
+  }
+}
@@ -1,4 +1,11 @@
 export const SSR_ATTR = 'data-server-rendered'
+// subtrees the client leaves as-is instead of hydrating
+export const SERVER_ONLY_ATTR = 'data-server-only'
+// interactive islands hydrated on their own (component name + props)
+export const ISLAND_ATTR = 'data-island'
+export const ISLAND_PROPS_ATTR = 'data-island-props'
+// head tags managed by the `head` option (value is the tag's dedupe key)
+export const HEAD_ATTR = 'data-vue-head'
 
 export const ASSET_TYPES = [
   'component',
@@ -18,5 +25,7 @@ export const LIFECYCLE_HOOKS = [
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered'
 ]
@@ -1,4 +1,6 @@
+import vm from 'vm'
 import LRU from 'lru-cache'
+import Vue from '../../dist/vue.runtime.common.js'
 import { compileWithWebpack } from './compile-with-webpack'
 import { createBundleRenderer } from '../../packages/vue-server-renderer'
 import VueSSRServerPlugin from '../../packages/vue-server-renderer/server-plugin'
@@ -35,6 +37,83 @@ export function createRenderer (file, options, cb) {
 describe('SSR: bundle renderer', () => {
   createAssertions(true)
   createAssertions(false)
+  createAssertions('pool')
+  createUpdateAssertions(true)
+  createUpdateAssertions(false)
+
+  it('runInNewContext: pool (isolation)', done => {
+    const bundle = createMemoryBundle('')
+    bundle.files['entry.js'] =
+      `let count = 0\n` +
+      `module.exports = context => context.createApp(++count, __VUE_SSR_CONTEXT__ === context)`
+    const renderer = createBundleRenderer(bundle, {
+      runInNewContext: 'pool',
+      contextPoolSize: 1
+    })
+    const createApp = (count, hasContext) => new Vue({
+      render: h => h('div', `${count} ${hasContext}`)
+    })
+    // pre-warmed contexts are filled between renders
+    setImmediate(() => {
+      Promise.all([
+        renderer.renderToString({ createApp }),
+        renderer.renderToString({ createApp })
+      ]).then(results => {
+        expect(results).toEqual([
+          '<div data-server-rendered="true">1 true</div>',
+          '<div data-server-rendered="true">1 true</div>'
+        ])
+      }).then(done, done.fail)
+    })
+  })
+
+  it('runInNewContext: pool (contexts are not reused)', done => {
+    const bundle = createMemoryBundle('')
+    bundle.files['entry.js'] =
+      `module.exports = context => {\n` +
+      `  global.renders = (global.renders || 0) + 1\n` +
+      `  return context.createApp(global)\n` +
+      `}`
+    const renderer = createBundleRenderer(bundle, {
+      runInNewContext: 'pool',
+      contextPoolSize: 2
+    })
+    const globals = []
+    const createApp = global => {
+      globals.push(global)
+      return new Vue({ render: h => h('div', global.renders) })
+    }
+    const render = () => renderer.renderToString({ createApp })
+    const nextTurn = () => new Promise(resolve => setImmediate(resolve))
+    // renders taking contexts from a full pool, from a partially refilled
+    // one and from an empty one
+    nextTurn()
+      .then(() => Promise.all([render(), render(), render()]))
+      .then(nextTurn)
+      .then(render)
+      .then(nextTurn)
+      .then(() => Promise.all([render(), render()]))
+      .then(() => {
+        expect(globals.length).toBe(6)
+        expect(new Set(globals).size).toBe(6)
+        globals.forEach(global => {
+          expect(global.renders).toBe(1)
+        })
+      })
+      .then(done, done.fail)
+  })
+
+  it('runInNewContext: pool (evaluation error)', done => {
+    const bundle = createMemoryBundle('')
+    bundle.files['entry.js'] = `throw new Error('foo')`
+    const renderer = createBundleRenderer(bundle, { runInNewContext: 'pool' })
+    setImmediate(() => {
+      renderer.renderToString({}).catch(err => {
+        expect(err.message).toBe('foo')
+        done()
+      })
+    })
+  })
 })
 
 function createAssertions (runInNewContext) {
@@ -345,3 +424,94 @@ function createAssertions (runInNewContext) {
     })
   })
 }
+
+// in-memory bundles: the entry renders the message exported by msg.js
+function createMemoryBundle (msg) {
+  return {
+    entry: 'entry.js',
+    files: {
+      'entry.js':
+        `const msg = require('./msg.js')\n` +
+        `module.exports = context => context.createApp(msg)`,
+      'msg.js': `module.exports = ${JSON.stringify(msg)}`
+    },
+    maps: {}
+  }
+}
+
+function createUpdateAssertions (runInNewContext) {
+  const createApp = msg => new Vue({ render: h => h('div', msg) })
+
+  it('update (bundle)', done => {
+    const Script = vm.Script
+    const compiled = []
+    vm.Script = function (code, options) {
+      compiled.push(options.filename)
+      return new Script(code, options)
+    }
+    const renderer = createBundleRenderer(createMemoryBundle('foo'), { runInNewContext })
+    renderer.renderToString({ createApp }).then(res => {
+      expect(res).toBe('<div data-server-rendered="true">foo</div>')
+      const bundle = createMemoryBundle('bar')
+      bundle.files['entry.js'] = createMemoryBundle('foo').files['entry.js']
+      renderer.update(bundle)
+      return renderer.renderToString({ createApp })
+    }).then(res => {
+      expect(res).toBe('<div data-server-rendered="true">bar</div>')
+      // only the file that changed is compiled again
+      expect(compiled).toEqual(['entry.js', 'msg.js', 'msg.js'])
+      vm.Script = Script
+    }).then(done, err => {
+      vm.Script = Script
+      done.fail(err)
+    })
+  })
+
+  it('update (in-flight renders)', done => {
+    const renderer = createBundleRenderer(createMemoryBundle('foo'), { runInNewContext })
+    let resolveApp
+    const pending = renderer.renderToString({
+      createApp: msg => new Promise(resolve => {
+        resolveApp = () => resolve(createApp(msg))
+      })
+    })
+    renderer.update(createMemoryBundle('bar'), undefined, '<html><!--vue-ssr-outlet--></html>')
+    // the render started before the update finishes on the old version
+    resolveApp()
+    pending.then(res => {
+      expect(res).toBe('<div data-server-rendered="true">foo</div>')
+      return renderer.renderToString({ createApp })
+    }).then(res => {
+      expect(res).toBe('<html><div data-server-rendered="true">bar</div></html>')
+    }).then(done, done.fail)
+  })
+
+  it('update (invalid bundle keeps the current version)', done => {
+    const renderer = createBundleRenderer(createMemoryBundle('foo'), { runInNewContext })
+    expect(() => renderer.update({ files: {}, maps: {}})).toThrowError(/Invalid server-rendering bundle/)
+    renderer.renderToString({ createApp }).then(res => {
+      expect(res).toBe('<div data-server-rendered="true">foo</div>')
+    }).then(done, done.fail)
+  })
+
+  it('update (client manifest)', done => {
+    const renderer = createBundleRenderer(createMemoryBundle('foo'), {
+      runInNewContext,
+      template: '<html><head></head><body><!--vue-ssr-outlet--></body></html>'
+    })
+    renderer.update(undefined, {
+      publicPath: '/',
+      all: ['app.js'],
+      initial: ['app.js'],
+      async: [],
+      modules: {}
+    })
+    renderer.renderToString({ createApp }).then(res => {
+      expect(res).toBe(
+        `<html><head><link rel="preload" href="/app.js" as="script"></head><body>` +
+        `<div data-server-rendered="true">foo</div>` +
+        `<script src="/app.js" defer></script></body></html>`
+      )
+    }).then(done, done.fail)
+  })
+}
@@ -0,0 +1,195 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import {
+  createRenderer,
+  createComponentCache
+} from '../../packages/vue-server-renderer'
+
+function createApp (id, cacheKey) {
+  return new Vue({
+    render: h => h('div', [h('product', { props: { id }})]),
+    components: {
+      product: {
+        name: 'product',
+        props: ['id'],
+        serverCacheKey: cacheKey,
+        render (h) {
+          return h('p', `product ${this.id}`)
+        }
+      }
+    }
+  })
+}
+
+describe('SSR: component cache', () => {
+  it('should record hits and misses', done => {
+    const cache = createComponentCache()
+    const { renderToString } = createRenderer({ cache })
+    const cacheKey = props => props.id
+    renderToString(createApp(1, cacheKey)).then(res => {
+      expect(res).toBe('<div data-server-rendered="true"><p>product 1</p></div>')
+      return renderToString(createApp(1, cacheKey))
+    }).then(res => {
+      expect(res).toBe('<div data-server-rendered="true"><p>product 1</p></div>')
+      expect(cache.getStats()).toEqual({
+        hits: 1,
+        misses: 1,
+        sets: 1,
+        evictions: 0,
+        invalidations: 0,
+        size: 1
+      })
+      cache.resetStats()
+      expect(cache.getStats().hits).toBe(0)
+    }).then(done)
+  })
+
+  it('should expire entries after their ttl', () => {
+    jasmine.clock().install()
+    jasmine.clock().mockDate(new Date(2019, 0, 1))
+    const cache = createComponentCache({ ttl: 1000 })
+    cache.set('a', 'a')
+    cache.set('b', 'b', { ttl: 5000 })
+    jasmine.clock().tick(1001)
+    expect(cache.get('a')).toBeUndefined()
+    expect(cache.get('b')).toBe('b')
+    jasmine.clock().tick(4000)
+    expect(cache.get('b')).toBeUndefined()
+    expect(cache.getStats().size).toBe(0)
+    jasmine.clock().uninstall()
+  })
+
+  it('should evict least recently used entries', () => {
+    const cache = createComponentCache({ max: 2 })
+    cache.set('a', 'a')
+    cache.set('b', 'b')
+    cache.get('a')
+    cache.set('c', 'c')
+    expect(cache.get('b')).toBeUndefined()
+    expect(cache.get('a')).toBe('a')
+    expect(cache.get('c')).toBe('c')
+    expect(cache.getStats().evictions).toBe(1)
+  })
+
+  it('should invalidate entries by tag', done => {
+    const cache = createComponentCache()
+    const { renderToString } = createRenderer({ cache })
+    const cacheKey = props => ({ key: props.id, tags: [`product:${props.id}`] })
+    Promise.all([
+      renderToString(createApp(1, cacheKey)),
+      renderToString(createApp(2, cacheKey))
+    ]).then(() => {
+      expect(cache.invalidate('product:1')).toBe(1)
+      expect(cache.invalidate(['product:1'])).toBe(0)
+      expect(cache.get('product::1')).toBeUndefined()
+      expect(cache.get('product::2').html).toBe('<p>product 2</p>')
+      expect(cache.getStats().invalidations).toBe(1)
+    }).then(done)
+  })
+
+  it('should pass entry options to custom caches that accept them', done => {
+    const store = {}
+    const cache = {
+      get: key => store[key],
+      set: jasmine.createSpy('set').and.callFake((key, val) => {
+        store[key] = val
+      }),
+      acceptsEntryOptions: true
+    }
+    const { renderToString } = createRenderer({ cache })
+    renderToString(createApp(1, props => ({
+      key: props.id,
+      ttl: 1000,
+      tags: ['product']
+    }))).then(() => {
+      const [key, val, options] = cache.set.calls.argsFor(0)
+      expect(key).toBe('product::1')
+      expect(val.tags).toEqual(['product'])
+      expect(options).toEqual({ ttl: 1000, tags: ['product'] })
+      return renderToString(createApp(2, props => props.id))
+    }).then(() => {
+      // plain keys keep the two-argument form
+      expect(cache.set.calls.argsFor(1).length).toBe(2)
+    }).then(done)
+  })
+
+  it('should not pass entry options to other caches', done => {
+    const store = {}
+    const cache = {
+      // e.g. lru-cache, which reads a third argument as maxAge
+      get: key => store[key],
+      set: jasmine.createSpy('set').and.callFake((key, val) => {
+        store[key] = val
+      })
+    }
+    const { renderToString } = createRenderer({ cache })
+    renderToString(createApp(1, props => ({
+      key: props.id,
+      ttl: 1000,
+      tags: ['product']
+    }))).then(() => {
+      const args = cache.set.calls.argsFor(0)
+      expect(args.length).toBe(2)
+      expect(args[1].tags).toEqual(['product'])
+    }).then(done)
+  })
+
+  it('should merge tags and ttl of nested entries into parents', done => {
+    const cache = createComponentCache()
+    const { renderToString } = createRenderer({ cache })
+    const child = {
+      name: 'child',
+      props: ['id'],
+      serverCacheKey: props => ({ key: props.id, ttl: 1000, tags: [`child:${props.id}`] }),
+      render (h) {
+        return h('span', this.id)
+      }
+    }
+    const createParent = () => new Vue({
+      render: h => h('parent'),
+      components: {
+        parent: {
+          name: 'parent',
+          serverCacheKey: () => ({ key: 'p', ttl: 5000, tags: ['parent'] }),
+          render: h => h('div', [h(child, { props: { id: 1 }})])
+        }
+      }
+    })
+    const setSpy = spyOn(cache, 'set').and.callThrough()
+    renderToString(createParent()).then(() => {
+      const parentOptions = setSpy.calls.mostRecent().args[2]
+      expect(parentOptions.ttl).toBe(1000)
+      expect(parentOptions.tags).toEqual(['parent', 'child:1'])
+      // purging the child also purges the parent embedding its html
+      expect(cache.invalidate('child:1')).toBe(2)
+      expect(cache.getStats().size).toBe(0)
+    }).then(done)
+  })
+
+  it('should merge tags of cache hits into parents', done => {
+    const cache = createComponentCache()
+    const { renderToString } = createRenderer({ cache })
+    const child = {
+      name: 'child',
+      serverCacheKey: () => ({ key: 'c', tags: ['child'] }),
+      render: h => h('span', 'child')
+    }
+    const createParent = key => new Vue({
+      render: h => h('parent'),
+      components: {
+        parent: {
+          name: 'parent',
+          serverCacheKey: () => key,
+          render: h => h('div', [h(child)])
+        }
+      }
+    })
+    // cache the child on its own first, then render a parent embedding it
+    renderToString(new Vue({ render: h => h('div', [h(child)]) })).then(() => {
+      return renderToString(createParent('p'))
+    }).then(res => {
+      expect(res).toBe('<div data-server-rendered="true"><span>child</span></div>')
+      expect(cache.getStats().hits).toBe(1)
+      expect(cache.invalidate('child')).toBe(2)
+    }).then(done)
+  })
+})
@@ -0,0 +1,151 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import { createRenderer, createComponentCache } from '../../packages/vue-server-renderer'
+
+const template = `<html><head></head><body><!--vue-ssr-outlet--></body></html>`
+
+const clientManifest = {
+  publicPath: '/',
+  all: ['app.js', 'app.css', 'vendor.css', 'page.js', 'page.css', 'other.css'],
+  initial: ['app.js', 'app.css', 'vendor.css'],
+  async: ['page.js', 'page.css', 'other.css'],
+  modules: {
+    app: [0, 1],
+    page: [3, 4],
+    other: [5]
+  }
+}
+
+const files = {
+  'app.css':
+    `@charset "utf-8";` +
+    `.global { color: red }\n` +
+    `/* comment { } */` +
+    `.app[data-v-app] { content: "}" }\n` +
+    `.unused[data-v-unused], .b[data-v-unused] { color: blue }\n` +
+    `.mixed[data-v-unused], .c[data-v-app] { color: green }\n` +
+    `@media (min-width: 100px) { .m[data-v-unused] { color: red } }\n` +
+    `@media print { .p[data-v-app] { color: black } }\n` +
+    `@font-face { font-family: x; src: url(x.woff) }`,
+  'vendor.css': `.vendor { color: gray }`,
+  'page.css': `.page[data-v-page] { color: pink }</style>`,
+  'other.css': `.other { color: white }`
+}
+
+const register = id => function () {
+  this.$ssrContext._registeredComponents.add(id)
+}
+
+const App = {
+  _scopeId: 'data-v-app',
+  beforeCreate: register('app'),
+  template: '<div class="app"><page></page></div>',
+  components: {
+    page: {
+      _scopeId: 'data-v-page',
+      beforeCreate: register('page'),
+      template: '<p class="page">page</p>'
+    }
+  }
+}
+
+function createApp () {
+  return new Vue({
+    render: h => h(App)
+  })
+}
+
+function createCriticalRenderer (options) {
+  const readFile = jasmine.createSpy('readFile').and.callFake(file => files[file])
+  const renderer = createRenderer(Object.assign({
+    template,
+    clientManifest,
+    criticalCSS: { readFile }
+  }, options))
+  return { renderer, readFile }
+}
+
+describe('SSR: critical css', () => {
+  it('should inline the rules used by rendered components', done => {
+    const { renderer, readFile } = createCriticalRenderer()
+    const context = { _registeredComponents: new Set() }
+    renderer.renderToString(createApp(), context).then(res => {
+      expect(res).toContain(
+        `<style data-vue-ssr-critical>` +
+          `@charset "utf-8";` +
+          `.global{ color: red }` +
+          `.app[data-v-app]{ content: "}" }` +
+          `.mixed[data-v-unused], .c[data-v-app]{ color: green }` +
+          `@media print{.p[data-v-app]{ color: black }}` +
+          `@font-face{ font-family: x; src: url(x.woff) }` +
+          `.page[data-v-page]{ color: pink }<\\/style>` +
+        `</style></head>`
+      )
+      // files of components that were not rendered are left out, the
+      // stylesheets are still loaded after the app content.
+      expect(res).toContain(
+        `</div>` +
+        `<link rel="stylesheet" href="/app.css">` +
+        `<link rel="stylesheet" href="/vendor.css">` +
+        `<link rel="stylesheet" href="/page.css">` +
+        `<script src="/app.js" defer></script>`
+      )
+      expect(res).not.toContain('.vendor{')
+      expect(res).not.toContain('<link rel="stylesheet" href="/other.css">')
+      // files are only read once
+      return renderer.renderToString(createApp(), { _registeredComponents: new Set() })
+    }).then(() => {
+      expect(readFile.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('should inline all files loaded upfront without registered components', done => {
+    const { renderer } = createCriticalRenderer()
+    renderer.renderToString(new Vue({
+      render: h => h({
+        _scopeId: 'data-v-app',
+        template: '<div class="app"></div>'
+      })
+    }), {}, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain('.app[data-v-app]{ content: "}" }')
+      expect(res).toContain('.vendor{ color: gray }')
+      expect(res).not.toContain('.page[data-v-page]')
+      done()
+    })
+  })
+
+  it('should keep the scopes of cached components', done => {
+    const { renderer } = createCriticalRenderer({
+      cache: createComponentCache()
+    })
+    const createCachedApp = () => new Vue({
+      template: '<div><cached></cached></div>',
+      components: {
+        cached: {
+          name: 'cached',
+          _scopeId: 'data-v-app',
+          serverCacheKey: () => 'key',
+          template: '<p class="app">cached</p>'
+        }
+      }
+    })
+    renderer.renderToString(createCachedApp(), {}).then(() => {
+      return renderer.renderToString(createCachedApp(), {})
+    }).then(res => {
+      expect(res).toContain('.app[data-v-app]{ content: "}" }')
+    }).then(done)
+  })
+
+  it('should require a way to read files', () => {
+    const renderer = createRenderer({
+      template,
+      clientManifest,
+      criticalCSS: {}
+    })
+    return renderer.renderToString(new Vue({ template: '<div></div>' }), {}).then(() => {
+      fail('expected an error')
+    }, err => {
+      expect(err.message).toContain('criticalCSS requires either the "basedir" or the "readFile" option.')
+    })
+  })
+})
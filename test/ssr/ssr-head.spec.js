@@ -0,0 +1,253 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import { createRenderer } from '../../packages/vue-server-renderer'
+
+const template = `<html><head></head><body><!--vue-ssr-outlet--></body></html>`
+
+// with `filler`, the start of the app is large enough to be streamed
+// before the page has fetched its data
+function createApp (pageHead, filler) {
+  return new Vue({
+    head: {
+      title: 'Site',
+      meta: [
+        { charset: 'utf-8' },
+        { name: 'description', content: 'site' }
+      ],
+      link: [{ rel: 'canonical', href: '/' }]
+    },
+    render: h => h('div', filler ? [h('p', filler), h('page')] : [h('page')]),
+    components: {
+      page: {
+        data: () => ({ name: 'loading' }),
+        serverPrefetch () {
+          return Promise.resolve().then(() => {
+            this.name = 'Product <1>'
+          })
+        },
+        head: pageHead,
+        render: h => h('p')
+      }
+    }
+  })
+}
+
+function readWebStream (stream) {
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  let res = ''
+  const read = () => reader.read().then(({ done, value }) => {
+    if (done) return res
+    res += decoder.decode(value, { stream: true })
+    return read()
+  })
+  return read()
+}
+
+// run the head update script of a streamed render against a minimal
+// document holding the tags written in the head of the page
+function applyHeadUpdate (res) {
+  const script = res.match(/<script>(\(function\(h\)[\s\S]*?)<\/script>/)[1]
+  const createElement = (tag, attrs = {}) => ({
+    tag,
+    attrs,
+    setAttribute (name, value) { this.attrs[name] = value },
+    getAttribute (name) { return this.attrs[name] }
+  })
+  const head = {
+    children: [],
+    appendChild (el) { this.children.push(el) },
+    replaceChild (el, old) { this.children[this.children.indexOf(old)] = el },
+    querySelectorAll: () => head.children
+  }
+  const headHTML = res.slice(0, res.indexOf('</head>'))
+  headHTML.replace(/<(meta|link|script) data-vue-head="([^"]+)"/g, (_, tag, key) => {
+    const el = createElement(tag, { 'data-vue-head': key })
+    el.parentNode = head
+    head.children.push(el)
+  })
+  const document = {
+    title: (headHTML.match(/<title[^>]*>(.*?)<\/title>/) || [])[1],
+    head,
+    createElement,
+    currentScript: { parentNode: { removeChild () {} } }
+  }
+  new Function('document', script)(document) // eslint-disable-line no-new-func
+  return document
+}
+
+function expectStreamedHead (res) {
+  // the head known when the first chunk of the app is written
+  expect(res).toContain(
+    `<html><head>` +
+      `<title data-vue-head="title">Site</title>` +
+      `<meta data-vue-head="meta:charset" charset="utf-8">` +
+      `<meta data-vue-head="meta:name:description" name="description" content="site">` +
+      `<link data-vue-head="link:canonical" rel="canonical" href="/">` +
+    `</head>`
+  )
+  // the rest is applied once the app has been rendered
+  const { title, head } = applyHeadUpdate(res)
+  expect(title).toBe('Product <1>')
+  expect(head.children.map(el => el.attrs)).toEqual([
+    { 'data-vue-head': 'meta:charset' },
+    { 'data-vue-head': 'meta:name:description', name: 'description', content: 'about Product <1>' },
+    { 'data-vue-head': 'link:canonical', rel: 'canonical', href: '/product/1' },
+    { 'data-vue-head': 'script:/widget.js', src: '/widget.js', async: '' }
+  ])
+}
+
+function pageHead () {
+  return {
+    title: this.name,
+    meta: [{ name: 'description', content: `about ${this.name}` }],
+    link: [{ rel: 'canonical', href: '/product/1' }],
+    script: [{ src: '/widget.js', async: true }]
+  }
+}
+
+describe('SSR: head management', () => {
+  it('should inject merged head tags into the template', done => {
+    const { renderToString } = createRenderer({ template })
+    renderToString(createApp(function () {
+      return {
+        title: this.name,
+        meta: [{ name: 'description', content: `about ${this.name}` }],
+        link: [{ rel: 'canonical', href: '/product/1' }],
+        script: [{ src: '/widget.js', async: true, defer: false }]
+      }
+    }), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(
+        `<html><head>` +
+          `<title data-vue-head="title">Product &lt;1&gt;</title>` +
+          `<meta data-vue-head="meta:charset" charset="utf-8">` +
+          `<meta data-vue-head="meta:name:description" name="description" content="about Product &lt;1&gt;">` +
+          `<link data-vue-head="link:canonical" rel="canonical" href="/product/1">` +
+          `<script data-vue-head="script:/widget.js" src="/widget.js" async></script>` +
+        `</head><body>` +
+          `<div data-server-rendered="true"><p></p></div>` +
+        `</body></html>`
+      )
+      done()
+    })
+  })
+
+  it('should dedupe tags by key', done => {
+    const { renderToString } = createRenderer({ template })
+    renderToString(createApp({
+      meta: [
+        { key: 'og', property: 'og:title', content: 'a' },
+        { property: 'og:title', content: 'b' }
+      ],
+      script: [
+        { key: 'ld', type: 'application/ld+json', innerHTML: '{"a":1}' },
+        { key: 'ld', type: 'application/ld+json', innerHTML: '{"b":1}' }
+      ]
+    }), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        `<title data-vue-head="title">Site</title>` +
+        `<meta data-vue-head="meta:charset" charset="utf-8">` +
+        `<meta data-vue-head="meta:name:description" name="description" content="site">` +
+        `<link data-vue-head="link:canonical" rel="canonical" href="/">` +
+        `<meta data-vue-head="meta:og" property="og:title" content="a">` +
+        `<meta data-vue-head="meta:property:og:title" property="og:title" content="b">` +
+        `<script data-vue-head="script:ld" type="application/ld+json">{"b":1}</script>` +
+        `</head>`
+      )
+      done()
+    })
+  })
+
+  it('should expose renderHead when not injecting', done => {
+    const { renderToString } = createRenderer({
+      template: `<html><head>{{{ renderHead() }}}</head><body><!--vue-ssr-outlet--></body></html>`,
+      inject: false
+    })
+    const context = { nonce: 'abc' }
+    renderToString(createApp({
+      script: [{ innerHTML: 'window.a = 1' }]
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        `<link data-vue-head="link:canonical" rel="canonical" href="/">` +
+        `<script data-vue-head="script:{&quot;innerHTML&quot;:&quot;window.a = 1&quot;}" nonce="abc">window.a = 1</script>` +
+        `</head>`
+      )
+      done()
+    })
+  })
+
+  it('should apply the head of components rendered after the head was streamed', done => {
+    const { renderToStream } = createRenderer({ template })
+    const stream = renderToStream(createApp(pageHead, 'x'.repeat(20000)), {})
+    let res = ''
+    stream.on('data', chunk => { res += chunk })
+    stream.on('error', done.fail)
+    stream.on('end', () => {
+      expectStreamedHead(res)
+      done()
+    })
+  })
+
+  it('should apply the head of components rendered after the head of a web stream', done => {
+    const { renderToWebStream } = createRenderer({ template })
+    readWebStream(renderToWebStream(createApp(pageHead), {})).then(res => {
+      expectStreamedHead(res)
+      done()
+    }).catch(done.fail)
+  })
+
+  it('should apply the head of deferred subtrees', done => {
+    const { renderToStream } = createRenderer({ template })
+    const stream = renderToStream(new Vue({
+      head: { title: 'Site' },
+      render: h => h('div', [h('slow')]),
+      components: {
+        slow: {
+          head: { title: 'Slow', meta: [{ name: 'slow', content: '1' }] },
+          serverPrefetch: () => new Promise(resolve => setTimeout(resolve, 10)),
+          serverPlaceholder: h => h('p', 'placeholder'),
+          render: h => h('p', 'loaded')
+        }
+      }
+    }), { nonce: 'abc' })
+    let res = ''
+    stream.on('data', chunk => { res += chunk })
+    stream.on('error', done.fail)
+    stream.on('end', () => {
+      expect(res).toContain(`<head><title data-vue-head="title">Site</title></head>`)
+      expect(res).toContain(`<script nonce="abc">(function(h)`)
+      const { title, head } = applyHeadUpdate(res.replace(/ nonce="abc"/g, ''))
+      expect(title).toBe('Slow')
+      expect(head.children.map(el => el.attrs)).toEqual([
+        { 'data-vue-head': 'meta:name:slow', name: 'slow', content: '1' }
+      ])
+      done()
+    })
+  })
+
+  it('should not render a head update when the head is complete', done => {
+    const { renderToStream } = createRenderer({ template })
+    const stream = renderToStream(createApp(), {})
+    let res = ''
+    stream.on('data', chunk => { res += chunk })
+    stream.on('error', done.fail)
+    stream.on('end', () => {
+      expect(res).toContain(`<title data-vue-head="title">Site</title>`)
+      expect(res).not.toContain('<script>')
+      done()
+    })
+  })
+
+  it('should not render anything without head options', done => {
+    const { renderToString } = createRenderer({ template })
+    renderToString(new Vue({ render: h => h('div') }), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(
+        `<html><head></head><body><div data-server-rendered="true"></div></body></html>`
+      )
+      done()
+    })
+  })
+})
@@ -0,0 +1,227 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import { createRenderer } from '../../packages/vue-server-renderer'
+const { renderToString, renderToStream } = createRenderer()
+
+function createDeferred () {
+  let resolve, reject
+  const promise = new Promise((_resolve, _reject) => {
+    resolve = _resolve
+    reject = _reject
+  })
+  return { promise, resolve, reject }
+}
+
+function swapChunk (id, html) {
+  return `<template>${html}</template><script>__VUE_SSR_SWAP__(${id})</script>`
+}
+
+describe('SSR: out-of-order streaming', () => {
+  it('should render placeholder first and content after the main tree', done => {
+    renderToString(new Vue({
+      template: `<div><slow></slow><span>after</span></div>`,
+      components: {
+        slow: {
+          data: () => ({ msg: 'loading' }),
+          serverPrefetch () {
+            return new Promise(resolve => setTimeout(() => {
+              this.msg = 'loaded'
+              resolve()
+            }))
+          },
+          serverPlaceholder (h) {
+            return h('p', 'placeholder')
+          },
+          template: `<p>{{ msg }}</p>`
+        }
+      }
+    }), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        '<div data-server-rendered="true">' +
+          '<!--[vph:0--><p>placeholder</p><!--]vph:0-->' +
+          '<span>after</span>' +
+        '</div>' +
+        '<script>window.__VUE_SSR_SWAP__='
+      )
+      expect(res).toMatch(/<\/script><template><p>loaded<\/p><\/template><script>__VUE_SSR_SWAP__\(0\)<\/script>$/)
+      done()
+    })
+  })
+
+  it('should produce a valid swap script', done => {
+    renderToString(new Vue({
+      template: `<div><slow></slow></div>`,
+      components: {
+        slow: {
+          serverPlaceholder: h => h('p'),
+          render: h => h('p', 'loaded')
+        }
+      }
+    }), (err, res) => {
+      expect(err).toBeNull()
+      const script = res.match(/<script>(window\.__VUE_SSR_SWAP__=.*?)<\/script>/)[1]
+      expect(() => new Function(script)).not.toThrow() // eslint-disable-line no-new-func
+      done()
+    })
+  })
+
+  it('should flush placeholders before deferred content resolves', done => {
+    const prefetch = createDeferred()
+    const stream = renderToStream(new Vue({
+      template: `<div><slow></slow><span>after</span></div>`,
+      components: {
+        slow: {
+          serverPrefetch: () => prefetch.promise,
+          serverPlaceholder: h => h('p', 'placeholder'),
+          render: h => h('p', 'loaded')
+        }
+      }
+    }))
+    let res = ''
+    stream.on('data', chunk => {
+      res += chunk
+      if (res.indexOf('<span>after</span></div>') > -1 && res.indexOf('loaded') < 0) {
+        prefetch.resolve()
+      }
+    })
+    stream.on('end', () => {
+      expect(res).toBe(
+        '<div data-server-rendered="true">' +
+          '<!--[vph:0--><p>placeholder</p><!--]vph:0-->' +
+          '<span>after</span>' +
+        '</div>' +
+        res.match(/<script>window\.__VUE_SSR_SWAP__=.*?<\/script>/)[0] +
+        swapChunk(0, '<p>loaded</p>')
+      )
+      done()
+    })
+  })
+
+  it('should flush subtrees in completion order', done => {
+    const first = createDeferred()
+    const second = createDeferred()
+    renderToString(new Vue({
+      template: `<div><a-comp></a-comp><b-comp></b-comp></div>`,
+      components: {
+        aComp: {
+          serverPrefetch: () => first.promise,
+          serverPlaceholder: h => h('i'),
+          render: h => h('p', 'a')
+        },
+        bComp: {
+          serverPrefetch: () => second.promise,
+          serverPlaceholder: h => h('i'),
+          render: h => h('p', 'b')
+        }
+      }
+    }), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        swapChunk(1, '<p>b</p>') + swapChunk(0, '<p>a</p>')
+      )
+      done()
+    })
+    second.resolve()
+    setTimeout(first.resolve)
+  })
+
+  it('should flush nested subtrees after their parent', done => {
+    const outer = createDeferred()
+    renderToString(new Vue({
+      template: `<div><outer></outer></div>`,
+      components: {
+        outer: {
+          serverPrefetch: () => outer.promise,
+          serverPlaceholder: h => h('i'),
+          template: `<section><inner></inner></section>`,
+          components: {
+            inner: {
+              serverPlaceholder: h => h('b'),
+              render: h => h('p', 'inner')
+            }
+          }
+        }
+      }
+    }), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        swapChunk(0, '<section><!--[vph:1--><b></b><!--]vph:1--></section>') +
+        swapChunk(1, '<p>inner</p>')
+      )
+      done()
+    })
+    outer.resolve()
+  })
+
+  it('should defer async components with serverPlaceholder', done => {
+    renderToString(new Vue({
+      template: `<div><async-comp></async-comp></div>`,
+      components: {
+        asyncComp: () => ({
+          component: new Promise(resolve => setTimeout(() => resolve({
+            render: h => h('p', 'resolved')
+          }))),
+          serverPlaceholder: h => h('span', 'loading')
+        })
+      }
+    }), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        '<div data-server-rendered="true">' +
+          '<!--[vph:0--><span>loading</span><!--]vph:0-->' +
+        '</div>'
+      )
+      expect(res).toContain(swapChunk(0, '<p>resolved</p>'))
+      done()
+    })
+  })
+
+  it('should render in order without serverPlaceholder', done => {
+    renderToString(new Vue({
+      template: `<div><slow></slow></div>`,
+      components: {
+        slow: {
+          serverPrefetch: () => Promise.resolve(),
+          render: h => h('p', 'loaded')
+        }
+      }
+    }), (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe('<div data-server-rendered="true"><p>loaded</p></div>')
+      done()
+    })
+  })
+
+  it('should apply context nonce to swap scripts', done => {
+    renderToString(new Vue({
+      template: `<div><slow></slow></div>`,
+      components: {
+        slow: {
+          serverPlaceholder: h => h('i'),
+          render: h => h('p')
+        }
+      }
+    }), { nonce: '4AEemGb0xJptoIGFP3Nd' }, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain('<script nonce="4AEemGb0xJptoIGFP3Nd">window.__VUE_SSR_SWAP__=')
+      expect(res).toContain('<script nonce="4AEemGb0xJptoIGFP3Nd">__VUE_SSR_SWAP__(0)</script>')
+      done()
+    })
+  })
+
+  it('should catch errors in deferred subtrees', done => {
+    renderToString(new Vue({
+      template: `<div><slow></slow></div>`,
+      components: {
+        slow: {
+          serverPrefetch: () => Promise.reject(new Error('deferred failed')),
+          serverPlaceholder: h => h('i'),
+          render: h => h('p')
+        }
+      }
+    }), err => {
+      expect(err.message).toBe('deferred failed')
+      done()
+    })
+  })
+})
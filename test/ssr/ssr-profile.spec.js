@@ -0,0 +1,158 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import {
+  createRenderer,
+  createComponentCache
+} from '../../packages/vue-server-renderer'
+
+// strip timings so that reports can be compared structurally
+function shape (entry) {
+  const res = { type: entry.type, name: entry.name }
+  if (entry.key) res.key = entry.key
+  if (entry.hit != null) res.hit = entry.hit
+  if (entry.children.length) res.children = entry.children.map(shape)
+  return res
+}
+
+describe('SSR: render profiling', () => {
+  it('should attach a report to the render context', done => {
+    const { renderToString } = createRenderer({ profile: true })
+    const context = {}
+    renderToString(new Vue({
+      template: `<div><foo></foo><bar></bar></div>`,
+      components: {
+        foo: {
+          name: 'foo',
+          template: `<p><baz></baz></p>`,
+          components: {
+            baz: { render: h => h('span') }
+          }
+        },
+        bar: { render: h => h('i') }
+      }
+    }), context, err => {
+      expect(err).toBeNull()
+      expect(shape(context.renderProfile)).toEqual({
+        type: 'render',
+        name: 'Root',
+        children: [
+          {
+            type: 'component',
+            name: 'foo',
+            children: [{ type: 'component', name: 'baz' }]
+          },
+          { type: 'component', name: 'bar' }
+        ]
+      })
+      done()
+    })
+  })
+
+  it('should record serverPrefetch and async component wait time', done => {
+    const { renderToString } = createRenderer({ profile: true })
+    const context = {}
+    renderToString(new Vue({
+      template: `<div><async-comp></async-comp><slow></slow></div>`,
+      serverPrefetch: () => Promise.resolve(),
+      components: {
+        slow: {
+          name: 'slow',
+          serverPrefetch: () => new Promise(resolve => setTimeout(resolve, 20)),
+          render: h => h('p')
+        },
+        asyncComp: () => new Promise(resolve => setTimeout(() => resolve({
+          name: 'resolved',
+          render: h => h('span')
+        }), 20))
+      }
+    }), context, err => {
+      expect(err).toBeNull()
+      const report = context.renderProfile
+      expect(shape(report)).toEqual({
+        type: 'render',
+        name: 'Root',
+        children: [
+          { type: 'serverPrefetch', name: 'Root' },
+          { type: 'asyncComponent', name: 'async-comp' },
+          { type: 'component', name: 'resolved' },
+          {
+            type: 'component',
+            name: 'slow',
+            children: [{ type: 'serverPrefetch', name: 'slow' }]
+          }
+        ]
+      })
+      const [, asyncComp, resolved, slow] = report.children
+      expect(asyncComp.duration).toBeGreaterThan(15)
+      expect(resolved.start).not.toBeLessThan(asyncComp.start + asyncComp.duration)
+      expect(slow.children[0].duration).toBeGreaterThan(15)
+      expect(slow.duration).not.toBeLessThan(slow.children[0].duration)
+      expect(report.duration).not.toBeLessThan(slow.start + slow.duration)
+      done()
+    })
+  })
+
+  it('should record cache hits and misses', done => {
+    const { renderToString } = createRenderer({
+      cache: createComponentCache(),
+      profile: true
+    })
+    const createApp = () => new Vue({
+      render: h => h('div', [h('cached')]),
+      components: {
+        cached: {
+          name: 'cached',
+          serverCacheKey: () => 'a',
+          render: h => h('p')
+        }
+      }
+    })
+    const first = {}
+    const second = {}
+    renderToString(createApp(), first).then(() => {
+      return renderToString(createApp(), second)
+    }).then(() => {
+      expect(shape(first.renderProfile).children).toEqual([
+        { type: 'cache', name: 'cached', key: 'cached::a', hit: false },
+        { type: 'component', name: 'cached' }
+      ])
+      expect(shape(second.renderProfile).children).toEqual([
+        { type: 'cache', name: 'cached', key: 'cached::a', hit: true }
+      ])
+    }).then(done)
+  })
+
+  it('should call the profile hook', done => {
+    const profile = jasmine.createSpy('profile')
+    const { renderToStream } = createRenderer({ profile })
+    const context = {}
+    const stream = renderToStream(new Vue({
+      render: h => h('div')
+    }), context)
+    stream.on('data', () => {})
+    stream.on('end', () => {
+      expect(profile).toHaveBeenCalledWith(context.renderProfile, context)
+      expect(profile.calls.argsFor(0)[0].type).toBe('render')
+      done()
+    })
+  })
+
+  it('should leave the profile field of the context alone', done => {
+    const { renderToString } = createRenderer({ profile: true })
+    const profile = { id: 1 }
+    const context = { profile }
+    renderToString(new Vue({ render: h => h('div') }), context, () => {
+      expect(context.profile).toBe(profile)
+      expect(context.renderProfile.type).toBe('render')
+      done()
+    })
+  })
+
+  it('should not profile by default', done => {
+    const { renderToString } = createRenderer()
+    const context = {}
+    renderToString(new Vue({ render: h => h('div') }), context, () => {
+      expect(context.renderProfile).toBeUndefined()
+      done()
+    })
+  })
+})
@@ -0,0 +1,212 @@
+import fs from 'fs'
+import vm from 'vm'
+import path from 'path'
+import Vue from '../../dist/vue.runtime.common.js'
+import { rollup } from 'rollup'
+import hash from 'hash-sum'
+import { createRenderer, createBundleRenderer } from '../../packages/vue-server-renderer'
+import VueSSRClientPlugin from '../../packages/vue-server-renderer/rollup-client-plugin'
+import VueSSRServerPlugin from '../../packages/vue-server-renderer/rollup-server-plugin'
+
+// in-memory app: the entry lazily loads a component from a separate chunk
+const files = {
+  'entry.js':
+    `export default context => import('./async.js').then(({ default: Async }) => {\n` +
+    `  return context.createApp(Async)\n` +
+    `})`,
+  'async.js':
+    `export default {\n` +
+    `  beforeCreate () {\n` +
+    `    this.$vnode.ssrContext._registeredComponents.add('${hash('async.js')}')\n` +
+    `  },\n` +
+    `  render: h => h('span', 'async')\n` +
+    `}`
+}
+
+function compileWithRollup (plugin, cb, format = 'cjs') {
+  rollup({
+    input: 'entry.js',
+    plugins: [{
+      name: 'memory',
+      resolveId: id => id.replace(/^\.\//, ''),
+      load: id => files[id]
+    }, plugin]
+  }).then(bundle => {
+    return bundle.generate({
+      format,
+      sourcemap: true,
+      chunkFileNames: '[name].js'
+    })
+  }).then(({ output }) => {
+    const res = {}
+    output.forEach(file => {
+      res[file.fileName] = file
+    })
+    cb(res)
+  }).catch(err => {
+    fail(err)
+  })
+}
+
+describe('SSR: rollup plugins', () => {
+  it('should emit a server bundle for createBundleRenderer', done => {
+    compileWithRollup(VueSSRServerPlugin({ filename: 'bundle.json' }), output => {
+      expect(Object.keys(output)).toEqual(['bundle.json'])
+      const bundle = JSON.parse(output['bundle.json'].source)
+      expect(bundle.entry).toBe('entry.js')
+      expect(Object.keys(bundle.files).sort()).toEqual(['chunk.js', 'entry.js'])
+      expect(bundle.maps['entry.js'].sources).toEqual(['entry.js'])
+      createBundleRenderer(bundle).renderToString({
+        createApp: Async => new Vue({ render: h => h('div', [h(Async)]) })
+      }, (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe('<div data-server-rendered="true"><span>async</span></div>')
+        done()
+      })
+    })
+  })
+
+  // ES module bundles need node to run with --experimental-vm-modules,
+  // which npm run test:ssr passes.
+  it('should emit an ES module server bundle', done => {
+    compileWithRollup(VueSSRServerPlugin(), output => {
+      const bundle = JSON.parse(output['vue-ssr-server-bundle.json'].source)
+      expect(bundle.type).toBe('module')
+      expect(bundle.files['entry.js']).toContain(`import('./chunk.js')`)
+      const context = {
+        createApp: Async => new Vue({ render: h => h('div', [h(Async)]) })
+      }
+      const renderers = [true, false, 'once'].map(runInNewContext => {
+        return createBundleRenderer(bundle, { runInNewContext })
+      })
+      Promise.all(renderers.map(renderer => {
+        return renderer.renderToString(context).then(res => {
+          return renderer.renderToString(context).then(res2 => {
+            expect(res2).toBe(res)
+            return res
+          })
+        })
+      })).then(results => {
+        results.forEach(res => {
+          expect(res).toBe('<div data-server-rendered="true"><span>async</span></div>')
+        })
+      }).then(done, fail)
+    }, 'es')
+  })
+
+  it('should load ES module bundles with external dependencies', done => {
+    const bundle = {
+      entry: 'entry.mjs',
+      files: {
+        'entry.mjs':
+          `import { posix } from 'path'\n` +
+          `import hash from 'hash-sum'\n` +
+          `import { msg } from './util.mjs'\n` +
+          `export default context => context.createApp(posix.join(msg, hash(msg)))`,
+        'util.mjs': `export const msg = typeof process === 'object' ? 'hi' : ''`
+      },
+      maps: {}
+    }
+    createBundleRenderer(bundle).renderToString({
+      createApp: msg => new Vue({ render: h => h('div', msg) })
+    }, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(`<div data-server-rendered="true">hi/${hash('hi')}</div>`)
+      done()
+    })
+  })
+
+  it('should throw when creating a renderer for an ES module bundle without vm modules', () => {
+    const { SourceTextModule } = vm
+    delete vm.SourceTextModule
+    try {
+      expect(() => createBundleRenderer({
+        entry: 'entry.mjs',
+        files: { 'entry.mjs': `export default () => {}` },
+        maps: {}
+      })).toThrowError(/--experimental-vm-modules/)
+    } finally {
+      vm.SourceTextModule = SourceTextModule
+    }
+  })
+
+  it('should emit a client manifest for the template renderer', done => {
+    compileWithRollup(VueSSRClientPlugin({ publicPath: '/dist' }), output => {
+      const manifest = JSON.parse(output['vue-ssr-client-manifest.json'].source)
+      expect(manifest.publicPath).toBe('/dist')
+      expect(manifest.all).toEqual(['entry.js', 'chunk.js'])
+      expect(manifest.initial).toEqual(['entry.js'])
+      expect(manifest.async).toEqual(['chunk.js'])
+      expect(manifest.modules).toEqual({
+        [hash('entry.js')]: [0],
+        [hash('async.js')]: [1]
+      })
+      const renderer = createRenderer({
+        template: `<html><head></head><body><!--vue-ssr-outlet--></body></html>`,
+        clientManifest: manifest
+      })
+      renderer.renderToString(new Vue({ render: h => h('div') }), (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe(
+          `<html><head>` +
+            `<link rel="preload" href="/dist/entry.js" as="script">` +
+            `<link rel="prefetch" href="/dist/chunk.js">` +
+          `</head><body>` +
+            `<div data-server-rendered="true"></div>` +
+            `<script src="/dist/entry.js" defer></script>` +
+          `</body></html>`
+        )
+        done()
+      })
+    })
+  })
+  it('should identify single file components by their scope id', done => {
+    const id = path.resolve(__dirname, 'fixtures/async.vue')
+    const source = fs.readFileSync(id, 'utf-8')
+    rollup({
+      input: 'entry.js',
+      plugins: [{
+        name: 'vue',
+        resolveId: id => id,
+        load: file => file === id
+          ? `export default { render: h => h('span') }`
+          : `export default () => import(${JSON.stringify(id)})`
+      }, VueSSRClientPlugin()]
+    }).then(bundle => {
+      return bundle.generate({ format: 'cjs', chunkFileNames: '[name].js' })
+    }).then(({ output }) => {
+      const file = output.find(file => file.fileName === 'vue-ssr-client-manifest.json')
+      const manifest = JSON.parse(file.source)
+      expect(manifest.modules['data-v-' + hash(id + source)]).toEqual([1])
+    }).then(done, fail)
+  })
+
+  it('should preload the chunks of components rendered with the client manifest', done => {
+    compileWithRollup(VueSSRServerPlugin(), serverOutput => {
+      compileWithRollup(VueSSRClientPlugin({ publicPath: '/dist' }), clientOutput => {
+        const bundle = JSON.parse(serverOutput['vue-ssr-server-bundle.json'].source)
+        const manifest = JSON.parse(clientOutput['vue-ssr-client-manifest.json'].source)
+        const renderer = createBundleRenderer(bundle, {
+          template: `<html><head></head><body><!--vue-ssr-outlet--></body></html>`,
+          clientManifest: manifest
+        })
+        renderer.renderToString({
+          createApp: Async => new Vue({ render: h => h('div', [h(Async)]) })
+        }, (err, res) => {
+          expect(err).toBeNull()
+          expect(res).toBe(
+            `<html><head>` +
+              `<link rel="preload" href="/dist/entry.js" as="script">` +
+              `<link rel="preload" href="/dist/chunk.js" as="script">` +
+            `</head><body>` +
+              `<div data-server-rendered="true"><span>async</span></div>` +
+              `<script src="/dist/entry.js" defer></script>` +
+              `<script src="/dist/chunk.js" defer></script>` +
+            `</body></html>`
+          )
+          done()
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,146 @@
+/* global BigInt, BigInt64Array */
+import Vue from '../../dist/vue.runtime.common.js'
+import vm from 'vm'
+import { createRenderer } from '../../packages/vue-server-renderer'
+import {
+  createStateSerializer,
+  reviveState
+} from '../../packages/vue-server-renderer/state'
+
+class User {
+  constructor (name) {
+    this.name = name
+  }
+
+  greet () {
+    return `hi ${this.name}`
+  }
+}
+
+// evaluate the serialized state as the inline script would
+function transfer (state, options) {
+  const code = createStateSerializer(options)(state)
+  return reviveState(vm.runInNewContext(`(${code})`), options)
+}
+
+describe('SSR: state transfer', () => {
+  it('should keep plain state as JSON', () => {
+    const state = { a: 1, b: ['x', true, null], c: { d: 'e' }}
+    expect(createStateSerializer()(state)).toBe(JSON.stringify(state))
+    expect(transfer(state)).toEqual(state)
+  })
+
+  it('should round-trip values unsupported by JSON', () => {
+    const state = {
+      date: new Date(2019, 0, 1),
+      invalidDate: new Date(NaN),
+      map: new Map([[1, 'one'], [{ key: true }, new Set(['a'])]]),
+      set: new Set([1, 2]),
+      big: BigInt('12345678901234567890'),
+      bytes: new Uint8Array([1, 2, 3]),
+      bigs: new BigInt64Array([BigInt(-1)]),
+      numbers: [NaN, Infinity, -Infinity],
+      undef: undefined,
+      list: [undefined]
+    }
+    const res = transfer(state)
+    expect(res.date instanceof Date).toBe(true)
+    expect(res.date.getTime()).toBe(state.date.getTime())
+    expect(isNaN(res.invalidDate.getTime())).toBe(true)
+    expect(res.map instanceof Map).toBe(true)
+    expect(res.map.get(1)).toBe('one')
+    const [key, value] = Array.from(res.map.entries())[1]
+    expect(key).toEqual({ key: true })
+    expect(value instanceof Set && value.has('a')).toBe(true)
+    expect(Array.from(res.set)).toEqual([1, 2])
+    expect(res.big).toBe(state.big)
+    expect(res.bytes instanceof Uint8Array).toBe(true)
+    expect(Array.from(res.bytes)).toEqual([1, 2, 3])
+    expect(res.bigs[0]).toBe(BigInt(-1))
+    expect(res.numbers).toEqual([NaN, Infinity, -Infinity])
+    expect('undef' in res).toBe(true)
+    expect(res.list).toEqual([undefined])
+  })
+
+  it('should round-trip regular expressions and errors', () => {
+    class CustomError extends Error {}
+    const custom = new CustomError('custom')
+    custom.name = 'CustomError'
+    const res = transfer({
+      re: /a\/b/gi,
+      error: new TypeError('type'),
+      custom
+    })
+    expect(res.re instanceof RegExp).toBe(true)
+    expect(res.re.source).toBe('a\\/b')
+    expect(res.re.flags).toBe('gi')
+    expect(res.error instanceof TypeError).toBe(true)
+    expect(res.error.message).toBe('type')
+    // errors of other classes are revived as Error with their name
+    expect(res.custom instanceof Error).toBe(true)
+    expect(res.custom.name).toBe('CustomError')
+    expect(res.custom.message).toBe('custom')
+    expect('is not registered').not.toHaveBeenWarned()
+  })
+
+  it('should preserve shared and circular references', () => {
+    const shared = { id: 1 }
+    const state = { a: shared, b: [shared], map: new Map() }
+    state.self = state
+    state.map.set('map', state.map)
+    const res = transfer(state)
+    expect(res.self).toBe(res)
+    expect(res.b[0]).toBe(res.a)
+    expect(res.map.get('map')).toBe(res.map)
+  })
+
+  it('should revive instances of registered classes', () => {
+    const classes = { User }
+    const res = transfer({ users: [new User('a')] }, { classes })
+    expect(res.users[0] instanceof User).toBe(true)
+    expect(res.users[0].greet()).toBe('hi a')
+
+    // unregistered classes are transferred as plain objects
+    const plain = transfer({ user: new User('b') })
+    expect(plain.user).toEqual({ name: 'b' })
+    expect('instance of "User" but the class is not registered').toHaveBeenWarned()
+    expect(() => {
+      reviveState({ $t: 'Class', n: 'User', v: {}})
+    }).toThrowError(/"User" but the class is not registered/)
+  })
+
+  it('should not confuse objects using the type key', () => {
+    const state = { $t: 'Date', v: 1 }
+    expect(transfer(state)).toEqual(state)
+  })
+
+  it('should leave observers out of reactive state', () => {
+    const state = new Vue({ data: { user: { name: 'a' }, list: [{ id: 1 }] }}).$data
+    const json = createStateSerializer()(state)
+    expect(json).not.toContain('__ob__')
+    expect(JSON.parse(json)).toEqual({ user: { name: 'a' }, list: [{ id: 1 }] })
+  })
+
+  it('should be usable as the renderer serializer', done => {
+    const renderer = createRenderer({
+      template: `<html><head></head><body><!--vue-ssr-outlet--></body></html>`,
+      serializer: createStateSerializer()
+    })
+    const context = {
+      state: { date: new Date(0), html: '</script><script>alert(1)</script>' }
+    }
+    renderer.renderToString(new Vue({
+      template: '<div>hi</div>'
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).not.toContain('</script><script>alert')
+      const script = res.match(/<script>(.*?)<\/script>/)[1]
+      const window = {}
+      vm.runInNewContext(script, { window })
+      const state = reviveState(window.__INITIAL_STATE__)
+      expect(state.date.getTime()).toBe(0)
+      expect(state.html).toBe(context.state.html)
+      done()
+    })
+  })
+})
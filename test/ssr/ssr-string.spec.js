@@ -214,7 +214,7 @@ describe('SSR: renderToString', () => {
       }
     }, result => {
       expect(result).toContain(
-        '<div data-server-rendered="true" style="color:red;"><span style="color:black;"></span></div>'
+        '<div data-server-rendered="true" style="color:red;"><span style="color:black"></span></div>'
       )
       done()
     })
@@ -925,6 +925,68 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('_scopeId on scoped slot and nested slot content', done => {
+    const child = {
+      _scopeId: '_v-child',
+      template: '<div><slot :msg="msg"></slot></div>',
+      data: () => ({ msg: 'foo' })
+    }
+    renderVmWithOptions({
+      _scopeId: '_v-parent',
+      template:
+        '<div>' +
+          '<child v-slot="{ msg }"><p v-for="i in 2">{{ msg }}{{ i }}</p></child>' +
+          '<child><child><span>bar</span></child></child>' +
+          '<fn><i>baz</i></fn>' +
+        '</div>',
+      components: {
+        child,
+        fn: {
+          functional: true,
+          render: (h, { children }) => h('section', children)
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true" _v-parent>' +
+          '<div _v-child _v-parent><p _v-child _v-parent>foo1</p><p _v-child _v-parent>foo2</p></div>' +
+          '<div _v-child _v-parent><div _v-child _v-parent><span _v-child _v-parent>bar</span></div></div>' +
+          // slot contents rendered by the parent itself get no extra scope
+          '<section _v-parent _v-parent><i _v-parent>baz</i></section>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('optimized slot contents, named slots and slot fallback', done => {
+    renderVmWithOptions({
+      template:
+        '<ul>' +
+          '<child v-for="i in 2" :key="i">' +
+            '<li :class="{ odd: i % 2 }">{{ i }}</li>' +
+            '<b slot="head">head {{ i }}</b>' +
+          '</child>' +
+          '<component :is="\'child\'"></component>' +
+        '</ul>',
+      components: {
+        child: {
+          template: '<div><slot name="head"></slot><slot><em>{{ fallback }}</em></slot></div>',
+          data: () => ({ fallback: 'empty' })
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<ul data-server-rendered="true">' +
+          '<div><b>head 1</b><li class="odd">1</li></div>' +
+          '<div><b>head 2</b><li>2</li></div>' +
+          '<div><em>empty</em></div>' +
+        '</ul>'
+      )
+      done()
+    })
+  })
+
   it('comment nodes', done => {
     renderVmWithOptions({
       template: '<div><transition><div v-if="false"></div></transition></div>'
@@ -1369,6 +1431,26 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should support setup option with onServerPrefetch', done => {
+    renderVmWithOptions({
+      template: `<div>{{ count }}:{{ double }}</div>`,
+      setup () {
+        const count = Vue.ref(0)
+        const double = Vue.computed(() => count.value * 2)
+        Vue.onServerPrefetch(() => new Promise(resolve => {
+          setTimeout(() => {
+            count.value = 21
+            resolve()
+          }, 1)
+        }))
+        return { count, double }
+      }
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true">21:42</div>')
+      done()
+    })
+  })
+
   it('should support serverPrefetch option (nested)', done => {
     renderVmWithOptions({
       template: `
@@ -1594,6 +1676,92 @@ describe('SSR: renderToString', () => {
 
     renderToString(vueInstance, err => done(err))
   })
+
+  it('should mark serverOnly component roots', done => {
+    renderVmWithOptions({
+      template: '<div><static-content class="a"></static-content></div>',
+      components: {
+        staticContent: {
+          serverOnly: true,
+          template: '<section id="foo"><p>static</p></section>'
+        }
+      }
+    }, res => {
+      expect(res).toBe(
+        '<div data-server-rendered="true">' +
+          '<section id="foo" data-server-only="true" class="a"><p>static</p></section>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('should mark islands with their name and props', done => {
+    renderVmWithOptions({
+      template: '<div><counter :start="1" label="a &quot;b&quot;"></counter></div>',
+      components: {
+        counter: {
+          name: 'counter',
+          island: true,
+          props: ['start', 'label'],
+          template: '<button>{{ label }} {{ start }}</button>'
+        }
+      }
+    }, res => {
+      expect(res).toBe(
+        '<div data-server-rendered="true">' +
+          '<button data-island="counter" ' +
+            'data-island-props="{&quot;label&quot;:&quot;a \\&quot;b\\&quot;&quot;,&quot;start&quot;:1}">' +
+            'a &quot;b&quot; 1' +
+          '</button>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('should warn islands without a name', done => {
+    renderVmWithOptions({
+      template: '<div><counter></counter></div>',
+      components: {
+        counter: {
+          island: true,
+          template: '<button></button>'
+        }
+      }
+    }, res => {
+      expect(res).toBe('<div data-server-rendered="true"><button></button></div>')
+      expect(
+        'Components that set "island" must also define a unique "name" option.'
+      ).toHaveBeenTipped()
+      done()
+    })
+  })
+
+  it('should prefer precompiled ssrRender functions', done => {
+    renderVmWithOptions({
+      data: { msg: '<hi>' },
+      render () {
+        throw new Error('client render should not be used')
+      },
+      staticRenderFns: [],
+      // optimized render functions, as generated by compileTemplate
+      ssrRender () {
+        const _vm = this
+        const _c = _vm._self._c
+        return _c('div', [
+          _vm._ssrNode('<p>' + _vm._ssrEscape(_vm._s(_vm.msg)) + '</p>'),
+          _vm._m(0)
+        ], 2)
+      },
+      ssrStaticRenderFns: [function () {
+        return this._ssrNode('<b>static</b>')
+      }]
+    }, res => {
+      expect(res).toBe('<div data-server-rendered="true"><p>&lt;hi&gt;</p><b>static</b></div>')
+      done()
+    })
+  })
 })
 
 function renderVmWithOptions (options, cb) {
@@ -357,30 +357,158 @@ describe('SSR: template option', () => {
     })
   })
 
-  const expectedHTMLWithManifest = (options = {}) =>
-    `<html><head>` +
+  it('renderToString + context.states', done => {
+    const renderer = createRenderer({
+      template: defaultTemplate
+    })
+    const context = {
+      state: { a: 1 },
+      states: {
+        __FLAGS__: { value: { beta: true }},
+        'apollo-state': { value: () => ({ b: '</script>' }), type: 'json' },
+        __CUSTOM__: { value: 1, serializer: () => '"custom"' },
+        __EMPTY__: { value: () => undefined }
+      }
+    }
+    renderer.renderToString(new Vue({
+      template: '<div>hi</div>',
+      created () {
+        // entries can also be declared while rendering
+        context.states.apollo = { value: () => ({ c: 1 }), type: 'json' }
+      }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        `<div data-server-rendered="true">hi</div>` +
+        `<script>window.__INITIAL_STATE__={"a":1}</script>` +
+        `<script>window.__FLAGS__={"beta":true}</script>` +
+        `<script type="application/json" id="apollo-state">{"b":"\\u003C\\u002Fscript\\u003E"}</script>` +
+        `<script>window.__CUSTOM__="custom"</script>` +
+        `<script type="application/json" id="apollo">{"c":1}</script>` +
+        `</body>`
+      )
+      // entries are only rendered once
+      expect(context.renderState()).toBe(`<script>window.__INITIAL_STATE__={"a":1}</script>`)
+      done()
+    })
+  })
+
+  it('renderToStream + streamed context.states', done => {
+    const renderer = createRenderer({
+      template: defaultTemplate
+    })
+    const context = { states: {}}
+    const stream = renderer.renderToStream(new Vue({
+      template: '<div><child></child><p>after</p></div>',
+      components: {
+        child: {
+          template: '<span>child</span>',
+          serverPrefetch () {
+            this.$ssrContext.states.__CHILD__ = { value: { id: 1 }, stream: true }
+            this.$ssrContext.states['child-json'] = { value: { id: 2 }, type: 'json', stream: true }
+          }
+        }
+      }
+    }), context)
+    let res = ''
+    stream.on('data', chunk => {
+      res += chunk.toString()
+    })
+    stream.on('end', () => {
+      expect(res).toContain(
+        `<div data-server-rendered="true"><span>child</span>` +
+        `<script>window.__CHILD__={"id":1};(function(){var s;` +
+        `(s=document.currentScript||document.scripts[document.scripts.length-1])` +
+        `.parentNode.removeChild(s);}());</script>` +
+        `<p>after</p></div>` +
+        // json blocks are never streamed inside the app
+        `<script type="application/json" id="child-json">{"id":2}</script>` +
+        `</body>`
+      )
+      done()
+    })
+  })
+
+  const expectedHTMLWithManifest = (options = {}) => {
+    const nonce = options.nonce ? ` nonce="${options.nonce}"` : ``
+    return `<html><head>` +
       // used chunks should have preload
-      `<link rel="preload" href="/manifest.js" as="script">` +
-      `<link rel="preload" href="/main.js" as="script">` +
-      `<link rel="preload" href="/0.js" as="script">` +
-      `<link rel="preload" href="/test.css" as="style">` +
+      `<link rel="preload" href="/manifest.js" as="script"${nonce}>` +
+      `<link rel="preload" href="/main.js" as="script"${nonce}>` +
+      `<link rel="preload" href="/0.js" as="script"${nonce}>` +
+      `<link rel="preload" href="/test.css" as="style"${nonce}>` +
       // images and fonts are only preloaded when explicitly asked for
       (options.preloadOtherAssets ? `<link rel="preload" href="/test.png" as="image">` : ``) +
       (options.preloadOtherAssets ? `<link rel="preload" href="/test.woff2" as="font" type="font/woff2" crossorigin>` : ``) +
       // unused chunks should have prefetch
-      (options.noPrefetch ? `` : `<link rel="prefetch" href="/1.js">`) +
+      (options.noPrefetch ? `` : `<link rel="prefetch" href="/1.js"${nonce}>`) +
       // css assets should be loaded
-      `<link rel="stylesheet" href="/test.css">` +
+      `<link rel="stylesheet" href="/test.css"${nonce}>` +
     `</head><body>` +
       `<div data-server-rendered="true"><div>async test.woff2 test.png</div></div>` +
       // state should be inlined before scripts
-      `<script>window.${options.stateKey || '__INITIAL_STATE__'}={"a":1}</script>` +
+      `<script${nonce}>window.${options.stateKey || '__INITIAL_STATE__'}={"a":1}</script>` +
       // manifest chunk should be first
-      `<script src="/manifest.js" defer></script>` +
+      `<script src="/manifest.js" defer${nonce}></script>` +
       // async chunks should be before main chunk
-      `<script src="/0.js" defer></script>` +
-      `<script src="/main.js" defer></script>` +
+      `<script src="/0.js" defer${nonce}></script>` +
+      `<script src="/main.js" defer${nonce}></script>` +
     `</body></html>`
+  }
+
+  it('renderToStream + clientManifest + components registered after the head', done => {
+    const renderer = createRenderer({
+      template: defaultTemplate,
+      clientManifest: {
+        publicPath: '/',
+        all: ['main.js', 'async.js', 'other.js'],
+        initial: ['main.js'],
+        async: ['async.js', 'other.js'],
+        modules: { async: [1] }
+      }
+    })
+    const onResourceHints = jasmine.createSpy('onResourceHints')
+    const context = { _registeredComponents: new Set(), onResourceHints }
+    const Async = {
+      beforeCreate () {
+        this.$ssrContext._registeredComponents.add('async')
+      },
+      render: h => h('span', 'async')
+    }
+    // the head is flushed with the filler while the data of the component
+    // rendering the async one is fetched
+    const stream = renderer.renderToStream(new Vue({
+      render: h => h('div', [
+        h('p', 'x'.repeat(20000)),
+        h({
+          serverPrefetch: () => new Promise(resolve => setTimeout(resolve, 10)),
+          render: h => h(Async)
+        })
+      ])
+    }), context)
+    let res = ''
+    stream.on('data', chunk => {
+      res += chunk.toString()
+    })
+    stream.on('end', () => {
+      expect(res).toContain(
+        `<link rel="preload" href="/main.js" as="script">` +
+        `<link rel="prefetch" href="/async.js">` +
+        `<link rel="prefetch" href="/other.js">` +
+      `</head>`)
+      expect(res).toContain(
+        `<script src="/main.js" defer></script>` +
+        `<script src="/async.js" defer></script>` +
+      `</body>`)
+      expect(onResourceHints.calls.allArgs()).toEqual([
+        [[{ rel: 'preload', href: '/main.js', as: 'script' }],
+          '</main.js>; rel=preload; as=script'],
+        [[{ rel: 'preload', href: '/async.js', as: 'script' }, { rel: 'prefetch', href: '/other.js' }],
+          '</async.js>; rel=preload; as=script, </other.js>; rel=prefetch']
+      ])
+      done()
+    })
+  })
 
   createClientManifestAssertions(true)
   createClientManifestAssertions(false)
@@ -396,6 +524,51 @@ describe('SSR: template option', () => {
       })
     })
 
+    it('bundleRenderer + renderToString + clientManifest + resource hints', done => {
+      createRendererWithManifest('split.js', { runInNewContext }, renderer => {
+        const onResourceHints = jasmine.createSpy('onResourceHints')
+        const context = { state: { a: 1 }, onResourceHints }
+        renderer.renderToString(context, (err, res) => {
+          expect(err).toBeNull()
+          // files loaded upfront are reported when the render starts
+          expect(onResourceHints.calls.argsFor(0)).toEqual([[
+            { rel: 'preload', href: '/manifest.js', as: 'script' },
+            { rel: 'preload', href: '/main.js', as: 'script' }
+          ], '</manifest.js>; rel=preload; as=script, </main.js>; rel=preload; as=script'])
+          // and the async chunks once the app has been rendered, preloaded
+          // if it used them
+          expect(onResourceHints.calls.argsFor(1)).toEqual([[
+            { rel: 'preload', href: '/0.js', as: 'script' },
+            { rel: 'preload', href: '/test.css', as: 'style' },
+            { rel: 'prefetch', href: '/1.js' }
+          ], '</0.js>; rel=preload; as=script, </test.css>; rel=preload; as=style, </1.js>; rel=prefetch'])
+          expect(onResourceHints.calls.count()).toBe(2)
+          expect(context.getResourceHints().map(hint => hint.href)).toEqual([
+            '/manifest.js', '/main.js', '/0.js', '/test.css', '/1.js'
+          ])
+          expect(context.renderLinkHeader()).toBe(
+            '</manifest.js>; rel=preload; as=script, ' +
+            '</main.js>; rel=preload; as=script, ' +
+            '</0.js>; rel=preload; as=script, ' +
+            '</test.css>; rel=preload; as=style, ' +
+            '</1.js>; rel=prefetch'
+          )
+          expect(res).toContain(expectedHTMLWithManifest())
+          done()
+        })
+      })
+    })
+
+    it('bundleRenderer + renderToString + clientManifest + nonce', done => {
+      createRendererWithManifest('split.js', { runInNewContext }, renderer => {
+        renderer.renderToString({ state: { a: 1 }, nonce: 'abc' }, (err, res) => {
+          expect(err).toBeNull()
+          expect(res).toContain(expectedHTMLWithManifest({ nonce: 'abc' }))
+          done()
+        })
+      })
+    })
+
     it('bundleRenderer + renderToStream + clientManifest + shouldPreload', done => {
       createRendererWithManifest('split.js', {
         runInNewContext,
@@ -552,6 +725,31 @@ describe('SSR: template option', () => {
       })
     })
 
+    it('renderToString + nonce + styles', done => {
+      const renderer = createRenderer({
+        template: defaultTemplate
+      })
+
+      const context = {
+        head: '<meta name="viewport" content="width=device-width">',
+        styles: '<style>h1 { color: red }</style><style data-vue-ssr-id="1" nonce="x">p {}</style>',
+        nonce: '"><script>'
+      }
+
+      renderer.renderToString(new Vue({
+        template: '<div>hi</div>'
+      }), context, (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toContain(
+          `<style nonce="&quot;&gt;&lt;script&gt;">h1 { color: red }</style>` +
+          // styles that already carry a nonce are left alone
+          `<style data-vue-ssr-id="1" nonce="x">p {}</style>` +
+          `</head>`
+        )
+        done()
+      })
+    })
+
     it('renderToString + custom serializer', done => {
       const expected = `{"foo":123}`
       const renderer = createRenderer({
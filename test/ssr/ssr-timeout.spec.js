@@ -0,0 +1,177 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import {
+  createRenderer,
+  createComponentCache
+} from '../../packages/vue-server-renderer'
+
+// never settles
+const hang = () => new Promise(() => {})
+
+describe('SSR: render timeout', () => {
+  it('should render a client-only placeholder for hung serverPrefetch', done => {
+    const { renderToString } = createRenderer({ timeout: 20 })
+    const context = {}
+    renderToString(new Vue({
+      template: `<div><hung></hung><span>after</span></div>`,
+      components: {
+        hung: {
+          name: 'hung',
+          serverPrefetch: hang,
+          render: h => h('p', 'loaded')
+        }
+      }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(
+        '<div data-server-rendered="true"><!----><span>after</span></div>'
+      )
+      expect(context.skippedComponents).toEqual(['hung'])
+      done()
+    })
+  })
+
+  it('should render a client-only placeholder for hung async components', done => {
+    const { renderToString } = createRenderer({ timeout: 20 })
+    const context = {}
+    renderToString(new Vue({
+      template: `<div><async-comp></async-comp><span>after</span></div>`,
+      components: {
+        asyncComp: hang
+      }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe(
+        '<div data-server-rendered="true"><!----><span>after</span></div>'
+      )
+      expect(context.skippedComponents).toEqual(['async-comp'])
+      done()
+    })
+  })
+
+  it('should leave the placeholder of hung deferred subtrees in place', done => {
+    const { renderToString } = createRenderer({ timeout: 50 })
+    const context = {}
+    renderToString(new Vue({
+      template: `<div><hung></hung><fast></fast></div>`,
+      components: {
+        hung: {
+          name: 'hung',
+          serverPrefetch: hang,
+          serverPlaceholder: h => h('p', 'loading'),
+          render: h => h('p', 'loaded')
+        },
+        fast: {
+          serverPrefetch: () => Promise.resolve(),
+          serverPlaceholder: h => h('i', 'loading'),
+          render: h => h('i', 'fast')
+        }
+      }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain('<!--[vph:0--><p>loading</p><!--]vph:0-->')
+      expect(res).toContain('<template><i>fast</i></template><script>__VUE_SSR_SWAP__(1)</script>')
+      expect(res).not.toContain('__VUE_SSR_SWAP__(0)')
+      expect(context.skippedComponents).toEqual(['hung'])
+      done()
+    })
+  })
+
+  it('should respect a per-request deadline', done => {
+    const { renderToString } = createRenderer()
+    const context = { deadline: Date.now() + 20 }
+    renderToString(new Vue({
+      template: `<div><hung></hung></div>`,
+      components: {
+        hung: {
+          serverPrefetch: hang,
+          render: h => h('p')
+        }
+      }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe('<div data-server-rendered="true"><!----></div>')
+      expect(context.skippedComponents).toEqual(['hung'])
+      done()
+    })
+  })
+
+  it('should ignore subtrees settling after the deadline', done => {
+    const { renderToString } = createRenderer({ timeout: 20 })
+    let reject
+    const cb = jasmine.createSpy('cb')
+    renderToString(new Vue({
+      template: `<div><late></late></div>`,
+      components: {
+        late: {
+          serverPrefetch: () => new Promise((_, _reject) => { reject = _reject }),
+          render: h => h('p')
+        }
+      }
+    }), cb)
+    setTimeout(() => {
+      expect(cb.calls.count()).toBe(1)
+      reject(new Error('late'))
+      setTimeout(() => {
+        expect(cb.calls.count()).toBe(1)
+        expect(cb).toHaveBeenCalledWith(null, '<div data-server-rendered="true"><!----></div>')
+        done()
+      }, 10)
+    }, 50)
+  })
+
+  it('should not cache components embedding a timed out subtree', done => {
+    const cache = createComponentCache()
+    const { renderToString } = createRenderer({ cache, timeout: 20 })
+    renderToString(new Vue({
+      render: h => h('div', [h('cached')]),
+      components: {
+        cached: {
+          name: 'cached',
+          serverCacheKey: () => 'a',
+          render: h => h('section', [h('hung')]),
+          components: {
+            hung: {
+              serverPrefetch: hang,
+              serverPlaceholder: h => h('p', 'loading'),
+              render: h => h('p', 'loaded')
+            }
+          }
+        }
+      }
+    })).then(res => {
+      // no out-of-order streaming while caching, the placeholder is inlined
+      expect(res).toBe(
+        '<div data-server-rendered="true"><section><p>loading</p></section></div>'
+      )
+      expect(cache.getStats().size).toBe(0)
+    }).then(done)
+  })
+
+  it('should render the whole tree before the deadline', done => {
+    const { renderToString } = createRenderer({ timeout: 1000 })
+    const context = {}
+    renderToString(new Vue({
+      template: `<div><fast></fast></div>`,
+      components: {
+        fast: {
+          serverPrefetch: () => new Promise(resolve => setTimeout(resolve, 10)),
+          render: h => h('p', 'loaded')
+        }
+      }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toBe('<div data-server-rendered="true"><p>loaded</p></div>')
+      expect(context.skippedComponents).toEqual([])
+      done()
+    })
+  })
+
+  it('should not record skipped components without a timeout', done => {
+    const { renderToString } = createRenderer()
+    const context = {}
+    renderToString(new Vue({ render: h => h('div') }), context, () => {
+      expect(context.skippedComponents).toBeUndefined()
+      done()
+    })
+  })
+})
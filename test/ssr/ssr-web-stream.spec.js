@@ -0,0 +1,208 @@
+import Vue from '../../dist/vue.runtime.common.js'
+import { createRenderer } from '../../packages/vue-server-renderer'
+import { createRenderer as createBundleRenderer } from './ssr-bundle-render.spec.js'
+
+const defaultTemplate = `<html><head></head><body><!--vue-ssr-outlet--></body></html>`
+
+function readStream (stream) {
+  const reader = stream.getReader()
+  const decoder = new TextDecoder()
+  let res = ''
+  const read = () => reader.read().then(({ done, value }) => {
+    if (done) return res
+    res += decoder.decode(value, { stream: true })
+    return read()
+  })
+  return read()
+}
+
+describe('SSR: renderToWebStream', () => {
+  it('should render to a web stream', done => {
+    const { renderToWebStream } = createRenderer()
+    const stream = renderToWebStream(new Vue({
+      template: `
+        <div>
+          <span>{{ test }}</span>
+          <b-comp></b-comp>
+        </div>
+      `,
+      data: {
+        test: 'hi'
+      },
+      components: {
+        bComp (resolve) {
+          setTimeout(() => resolve({
+            render (h) {
+              return h('div', 'async')
+            }
+          }))
+        }
+      }
+    }))
+    readStream(stream).then(res => {
+      expect(res).toBe(
+        '<div data-server-rendered="true">' +
+          '<span>hi</span> ' +
+          '<div>async</div>' +
+        '</div>'
+      )
+    }).then(done)
+  })
+
+  it('should not mingle two components', done => {
+    const { renderToWebStream } = createRenderer()
+    const padding = (new Array(40000)).join('x')
+    const stream1 = renderToWebStream(new Vue({
+      template: `<div>${padding}<div></div></div>`,
+      _scopeId: '_component1'
+    }))
+    const stream2 = renderToWebStream(new Vue({
+      template: `<div></div>`,
+      _scopeId: '_component2'
+    }))
+    Promise.all([readStream(stream1), readStream(stream2)]).then(([res1, res2]) => {
+      expect(res1).toContain(padding)
+      expect(res1).not.toContain('_component2')
+      expect(res2).not.toContain('_component1')
+    }).then(done)
+  })
+
+  it('should error the stream', done => {
+    Vue.config.silent = true
+    const { renderToWebStream } = createRenderer()
+    const stream = renderToWebStream(new Vue({
+      render () {
+        throw new Error('oops')
+      }
+    }))
+    readStream(stream).catch(err => {
+      expect(err.toString()).toMatch(/oops/)
+      Vue.config.silent = false
+      done()
+    })
+  })
+
+  it('should error the stream on serverPrefetch rejection', done => {
+    const { renderToWebStream } = createRenderer()
+    const stream = renderToWebStream(new Vue({
+      serverPrefetch () {
+        return Promise.reject(new Error('prefetch failed'))
+      },
+      render (h) {
+        return h('div')
+      }
+    }))
+    readStream(stream).catch(err => {
+      expect(err.message).toBe('prefetch failed')
+      done()
+    })
+  })
+
+  it('should inject template head and tail', done => {
+    const { renderToWebStream } = createRenderer({
+      template: defaultTemplate
+    })
+    const context = {
+      head: '<meta name="viewport" content="width=device-width">',
+      styles: '<style>h1 { color: red }</style>',
+      state: { a: 1 }
+    }
+    readStream(renderToWebStream(new Vue({
+      template: '<div>hi</div>'
+    }), context)).then(res => {
+      expect(res).toBe(
+        `<html><head>${context.head}${context.styles}</head><body>` +
+        `<div data-server-rendered="true">hi</div>` +
+        `<script>window.__INITIAL_STATE__={"a":1}</script>` +
+        `</body></html>`
+      )
+    }).then(done)
+  })
+
+  it('should call context.rendered before rendering state', done => {
+    const { renderToWebStream } = createRenderer({
+      template: defaultTemplate
+    })
+    const context = {
+      rendered: context => {
+        context.state = { a: 2 }
+      }
+    }
+    readStream(renderToWebStream(new Vue({
+      template: '<div>hi</div>'
+    }), context)).then(res => {
+      expect(res).toContain(`<script>window.__INITIAL_STATE__={"a":2}</script>`)
+    }).then(done)
+  })
+
+  it('should throw with function template', () => {
+    const { renderToWebStream } = createRenderer({
+      template: () => ''
+    })
+    expect(() => {
+      renderToWebStream(new Vue({ template: '<div></div>' }))
+    }).toThrowError(/function template is only supported in renderToString/)
+  })
+
+  it('pipeToWritable', done => {
+    const { pipeToWritable } = createRenderer({
+      template: defaultTemplate
+    })
+    const decoder = new TextDecoder()
+    let res = ''
+    const writable = new WritableStream({
+      write (chunk) {
+        res += decoder.decode(chunk, { stream: true })
+      }
+    })
+    pipeToWritable(new Vue({
+      template: '<div>hi</div>'
+    }), {}, writable).then(() => {
+      expect(res).toBe(
+        `<html><head></head><body>` +
+        `<div data-server-rendered="true">hi</div>` +
+        `</body></html>`
+      )
+    }).then(done)
+  })
+
+  it('bundleRenderer + renderToWebStream', done => {
+    createBundleRenderer('app.js', {
+      template: defaultTemplate
+    }, renderer => {
+      const context = { url: '/test' }
+      readStream(renderer.renderToWebStream(context)).then(res => {
+        expect(res).toBe(
+          `<html><head></head><body>` +
+          `<div data-server-rendered="true">/test</div>` +
+          `</body></html>`
+        )
+        expect(context.msg).toBe('hello')
+      }).then(done)
+    })
+  })
+
+  it('bundleRenderer + renderToWebStream catch error', done => {
+    createBundleRenderer('error.js', renderer => {
+      readStream(renderer.renderToWebStream()).catch(err => {
+        expect(err.message).toBe('foo')
+        done()
+      })
+    })
+  })
+
+  it('bundleRenderer + pipeToWritable', done => {
+    createBundleRenderer('app.js', renderer => {
+      const decoder = new TextDecoder()
+      let res = ''
+      const writable = new WritableStream({
+        write (chunk) {
+          res += decoder.decode(chunk, { stream: true })
+        }
+      })
+      renderer.pipeToWritable({ url: '/test' }, writable).then(() => {
+        expect(res).toBe('<div data-server-rendered="true">/test</div>')
+      }).then(done)
+    })
+  })
+})
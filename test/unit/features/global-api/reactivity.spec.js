@@ -0,0 +1,121 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  it('reactive and ref', () => {
+    const state = Vue.reactive({ count: 0 })
+    expect(state.__ob__).toBeDefined()
+    const count = Vue.ref(0)
+    expect(count.value).toBe(0)
+    expect(Vue.ref(count)).toBe(count)
+    // objects are made deeply reactive
+    const user = Vue.ref({ name: 'a' })
+    expect(user.value.__ob__).toBeDefined()
+    Vue.reactive(1)
+    expect('reactive() cannot be called on a primitive value: 1').toHaveBeenWarned()
+  })
+
+  it('computed', () => {
+    const count = Vue.ref(1)
+    const getter = jasmine.createSpy('getter').and.callFake(() => count.value * 2)
+    const double = Vue.computed(getter)
+    expect(getter).not.toHaveBeenCalled()
+    expect(double.value).toBe(2)
+    expect(double.value).toBe(2)
+    expect(getter.calls.count()).toBe(1)
+    count.value = 2
+    expect(double.value).toBe(4)
+    expect(getter.calls.count()).toBe(2)
+
+    double.value = 1
+    expect('Write operation failed: computed value is readonly.').toHaveBeenWarned()
+
+    const writable = Vue.computed({
+      get: () => count.value,
+      set: value => { count.value = value }
+    })
+    writable.value = 3
+    expect(count.value).toBe(3)
+    expect(double.value).toBe(6)
+  })
+
+  it('watchEffect', done => {
+    const count = Vue.ref(0)
+    const double = Vue.computed(() => count.value * 2)
+    const spy = jasmine.createSpy('effect')
+    const cleanup = jasmine.createSpy('cleanup')
+    const stop = Vue.watchEffect(onCleanup => {
+      spy(double.value)
+      onCleanup(cleanup)
+    })
+    expect(spy).toHaveBeenCalledWith(0)
+    count.value++
+    count.value++
+    // effects are batched like component updates
+    expect(spy.calls.count()).toBe(1)
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(2)
+      expect(spy).toHaveBeenCalledWith(4)
+      expect(cleanup.calls.count()).toBe(1)
+      stop()
+      expect(cleanup.calls.count()).toBe(2)
+      count.value++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('watchEffect with sync flush', () => {
+    const state = Vue.reactive({ items: [] })
+    const spy = jasmine.createSpy('effect')
+    Vue.watchEffect(() => spy(state.items.length), { flush: 'sync' })
+    state.items.push(1)
+    expect(spy.calls.allArgs()).toEqual([[0], [1]])
+  })
+
+  it('watchEffect error handling', () => {
+    Vue.watchEffect(() => {
+      throw new Error('oops')
+    })
+    expect('Error in getter for watcher').toHaveBeenWarned()
+  })
+
+  it('effectScope', () => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('effect')
+    const nestedSpy = jasmine.createSpy('nested')
+    const scope = Vue.effectScope()
+    const nested = scope.run(() => {
+      Vue.watchEffect(() => spy(count.value), { flush: 'sync' })
+      const nested = Vue.effectScope()
+      nested.run(() => {
+        Vue.watchEffect(() => nestedSpy(count.value), { flush: 'sync' })
+      })
+      return nested
+    })
+    count.value++
+    expect(spy.calls.count()).toBe(2)
+    expect(nestedSpy.calls.count()).toBe(2)
+    scope.stop()
+    expect(scope.active).toBe(false)
+    expect(nested.active).toBe(false)
+    count.value++
+    expect(spy.calls.count()).toBe(2)
+    expect(nestedSpy.calls.count()).toBe(2)
+
+    expect(scope.run(() => 1)).toBeUndefined()
+    expect('Cannot run an inactive effect scope.').toHaveBeenWarned()
+  })
+
+  it('should update components', done => {
+    const count = Vue.ref(0)
+    const double = Vue.computed(() => count.value * 2)
+    const vm = new Vue({
+      render: h => h('div', double.value)
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0')
+    count.value++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2')
+    }).then(done)
+  })
+})
@@ -120,6 +120,25 @@ describe('Instance methods data', () => {
       expect(spy).toHaveBeenCalledWith('ok')
     })
 
+    it('onTrack and onTrigger', () => {
+      const onTrack = jasmine.createSpy('onTrack')
+      const onTrigger = jasmine.createSpy('onTrigger')
+      vm.$watch('a.b', spy, { onTrack, onTrigger })
+      expect(onTrack.calls.allArgs()).toEqual([
+        [jasmine.objectContaining({ target: vm._data, type: 'get', key: 'a' })],
+        [jasmine.objectContaining({ target: vm.a, type: 'get', key: 'b' })]
+      ])
+      vm.a.b = 2
+      expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.a,
+        type: 'set',
+        key: 'b',
+        newValue: 2,
+        oldValue: 1
+      }))
+      expect(onTrigger.calls.argsFor(0)[0].effect.expression).toBe('a.b')
+    })
+
     it('warn expression', () => {
       vm.$watch('a + b', spy)
       expect('Watcher only accepts simple dot-delimited paths').toHaveBeenWarned()
@@ -0,0 +1,76 @@
+import Vue from 'vue'
+
+describe('Options head', () => {
+  const managed = () => document.head.querySelectorAll('[data-vue-head]')
+
+  afterEach(() => {
+    const els = managed()
+    for (let i = 0; i < els.length; i++) {
+      els[i].parentNode.removeChild(els[i])
+    }
+  })
+
+  it('should update document.head', done => {
+    const vm = new Vue({
+      data: { name: 'foo' },
+      head () {
+        return {
+          title: this.name,
+          meta: [{ name: 'description', content: this.name }]
+        }
+      },
+      render: h => h('div', [h('child')]),
+      components: {
+        child: {
+          head: {
+            meta: [{ name: 'description', content: 'child' }],
+            link: [{ rel: 'canonical', href: '/child' }]
+          },
+          render: h => h('p')
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(document.title).toBe('foo')
+      const els = managed()
+      expect(els.length).toBe(2)
+      expect(els[0].outerHTML).toBe(
+        '<meta data-vue-head="meta:name:description" name="description" content="child">'
+      )
+      expect(els[1].getAttribute('href')).toBe('/child')
+      vm.name = 'bar'
+    }).then(() => {
+      expect(document.title).toBe('bar')
+      vm.$destroy()
+    }).then(() => {
+      expect(managed().length).toBe(0)
+    }).then(done)
+  })
+
+  it('should take over server-rendered tags', done => {
+    const meta = document.createElement('meta')
+    meta.setAttribute('data-vue-head', 'meta:name:description')
+    meta.setAttribute('name', 'description')
+    meta.setAttribute('content', 'server')
+    document.head.appendChild(meta)
+    const stale = document.createElement('link')
+    stale.setAttribute('data-vue-head', 'link:canonical')
+    document.head.appendChild(stale)
+    const vm = new Vue({
+      data: { content: 'client' },
+      head () {
+        return {
+          meta: [{ name: 'description', content: this.content }]
+        }
+      },
+      render: h => h('div')
+    }).$mount()
+    waitForUpdate(() => {
+      expect(managed().length).toBe(1)
+      expect(managed()[0]).toBe(meta)
+      expect(meta.getAttribute('content')).toBe('client')
+      expect(stale.parentNode).toBe(null)
+      vm.$destroy()
+    }).then(done)
+  })
+})
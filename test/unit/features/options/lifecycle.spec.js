@@ -311,6 +311,71 @@ describe('Options lifecycle hooks', () => {
     })
   })
 
+  describe('renderTracked / renderTriggered', () => {
+    it('should report the dependencies and the changes of the render', done => {
+      const tracked = jasmine.createSpy('renderTracked')
+      const triggered = jasmine.createSpy('renderTriggered')
+      const vm = new Vue({
+        data: { a: 1, list: [1], map: new Map() },
+        template: '<div>{{ a }}{{ list.length }}{{ map.size }}</div>',
+        renderTracked: tracked,
+        renderTriggered: triggered
+      }).$mount()
+      expect(tracked).toHaveBeenCalledWith(jasmine.objectContaining({ target: vm._data, type: 'get', key: 'a' }))
+      expect(tracked).toHaveBeenCalledWith(jasmine.objectContaining({ target: vm.map, type: 'iterate' }))
+      expect(triggered).not.toHaveBeenCalled()
+
+      vm.a = 2
+      vm.list.push(2)
+      vm.map.set('k', 1)
+      expect(triggered.calls.allArgs()).toEqual([
+        [jasmine.objectContaining({ target: vm._data, type: 'set', key: 'a', newValue: 2, oldValue: 1 })],
+        [jasmine.objectContaining({ target: vm.list, type: 'array mutation', key: 'push' })],
+        [jasmine.objectContaining({ target: vm.map, type: 'add', key: 'k', newValue: 1 })]
+      ])
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('221')
+      }).then(done)
+    })
+
+    it('should report a dependency once per render', done => {
+      const tracked = jasmine.createSpy('renderTracked')
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}{{ a }}</div>',
+        renderTracked: tracked
+      }).$mount()
+      expect(tracked.calls.count()).toBe(1)
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('22')
+        expect(tracked.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('should not set debug hooks on the render watcher without listeners', () => {
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>'
+      }).$mount()
+      expect(vm._watcher.onTrack).toBeUndefined()
+      expect(vm._watcher.onTrigger).toBeUndefined()
+    })
+
+    it('should be registered from setup', () => {
+      const tracked = jasmine.createSpy('renderTracked')
+      new Vue({
+        template: '<div>{{ count }}</div>',
+        setup () {
+          const count = Vue.ref(0)
+          Vue.onRenderTracked(tracked)
+          return { count }
+        }
+      }).$mount()
+      expect(tracked).toHaveBeenCalledWith(jasmine.objectContaining({ type: 'get', key: 'value' }))
+    })
+  })
+
   it('should emit hook events', () => {
     const created = jasmine.createSpy()
     const mounted = jasmine.createSpy()
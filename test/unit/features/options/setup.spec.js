@@ -0,0 +1,189 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should expose bindings to the instance and the template', done => {
+    const vm = new Vue({
+      template: '<div @click="inc">{{ count }}:{{ double }}:{{ msg }}</div>',
+      setup () {
+        const count = Vue.ref(1)
+        const double = Vue.computed(() => count.value * 2)
+        const inc = () => { count.value++ }
+        return { count, double, inc, msg: 'hi' }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1:2:hi')
+    expect(vm.count).toBe(1)
+    vm.inc()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2:4:hi')
+      // refs are written through
+      vm.count = 5
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('5:10:hi')
+    }).then(done)
+  })
+
+  it('should receive props and the setup context', () => {
+    const emitted = jasmine.createSpy('emitted')
+    let ctx
+    const vm = new Vue({
+      template: '<child :n="1" title="t" @done="emitted"></child>',
+      methods: { emitted },
+      components: {
+        child: {
+          props: ['n'],
+          template: '<div></div>',
+          setup (props, context) {
+            ctx = context
+            return { plus: () => props.n + 1 }
+          }
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(child.plus()).toBe(2)
+    expect(ctx.attrs).toEqual({ title: 't' })
+    expect(ctx.listeners.done).toBeDefined()
+    ctx.emit('done', 1)
+    expect(emitted).toHaveBeenCalledWith(1)
+  })
+
+  it('should run before data and computed', () => {
+    const vm = new Vue({
+      setup () {
+        return { base: 1 }
+      },
+      data () {
+        return { a: this.base + 1 }
+      },
+      computed: {
+        b () { return this.a + this.base }
+      }
+    })
+    expect(vm.a).toBe(2)
+    expect(vm.b).toBe(3)
+  })
+
+  it('should warn bindings conflicting with props or reserved names', () => {
+    new Vue({
+      props: ['a'],
+      propsData: { a: 1 },
+      setup () {
+        return { a: 2, _b: 3 }
+      }
+    })
+    expect('The setup binding "a" is already defined as a prop.').toHaveBeenWarned()
+    expect('The setup binding "_b" is not exposed on the instance.').toHaveBeenWarned()
+  })
+
+  it('should warn methods and data conflicting with bindings', () => {
+    const vm = new Vue({
+      setup () {
+        return { count: Vue.ref(1), msg: 'setup' }
+      },
+      data () {
+        return { msg: 'data' }
+      },
+      methods: {
+        count () {}
+      }
+    })
+    expect('Method "count" has already been defined as a setup binding.').toHaveBeenWarned()
+    expect('The data property "msg" is already defined as a setup binding.').toHaveBeenWarned()
+    // the bindings are left untouched
+    expect(vm.count).toBe(1)
+    expect(vm._setupState.count.value).toBe(1)
+    expect(vm.msg).toBe('setup')
+    expect(vm._data.msg).toBe('data')
+  })
+
+  it('should warn non-object return values', () => {
+    new Vue({
+      setup () {
+        return 1
+      }
+    })
+    expect('setup() should return an object of bindings, got number.').toHaveBeenWarned()
+  })
+
+  it('should register lifecycle hooks', done => {
+    const calls = []
+    const Comp = Vue.extend({
+      template: '<div>{{ msg }}</div>',
+      setup () {
+        Vue.onBeforeMount(() => calls.push('beforeMount'))
+        Vue.onMounted(() => calls.push('mounted'))
+        Vue.onBeforeUpdate(() => calls.push('beforeUpdate'))
+        Vue.onUpdated(() => calls.push('updated'))
+        Vue.onBeforeDestroy(() => calls.push('beforeDestroy'))
+        Vue.onDestroyed(() => calls.push('destroyed'))
+        return { msg: Vue.ref('a') }
+      },
+      mounted () {
+        calls.push('option mounted')
+      }
+    })
+    const vm = new Comp().$mount()
+    expect(calls).toEqual(['beforeMount', 'option mounted', 'mounted'])
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(calls.slice(3)).toEqual(['beforeUpdate', 'updated'])
+      vm.$destroy()
+      expect(calls.slice(5)).toEqual(['beforeDestroy', 'destroyed'])
+      // hooks are registered per instance
+      expect(Comp.options.mounted.length).toBe(1)
+    }).then(done)
+  })
+
+  it('should capture errors of child components', () => {
+    const spy = jasmine.createSpy('errorCaptured').and.returnValue(false)
+    const err = new Error('child')
+    new Vue({
+      template: '<div><child></child></div>',
+      setup () {
+        Vue.onErrorCaptured(spy)
+      },
+      components: {
+        child: {
+          render () {
+            throw err
+          }
+        }
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(err, jasmine.any(Vue), 'render')
+  })
+
+  it('should warn hook registration outside of setup', () => {
+    Vue.onMounted(() => {})
+    expect('onMounted() must be called synchronously during the execution of setup().').toHaveBeenWarned()
+  })
+
+  it('should handle errors thrown in setup', () => {
+    const err = new Error('setup')
+    Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    new Vue({
+      setup () {
+        throw err
+      }
+    })
+    expect(Vue.config.errorHandler).toHaveBeenCalledWith(err, jasmine.any(Vue), 'setup function')
+    Vue.config.errorHandler = null
+  })
+
+  it('should stop effects created in setup on destroy', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy('effect')
+    const vm = new Vue({
+      setup () {
+        Vue.watchEffect(() => spy(count.value))
+      }
+    })
+    expect(spy.calls.count()).toBe(1)
+    vm.$destroy()
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+})
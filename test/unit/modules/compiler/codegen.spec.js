@@ -200,6 +200,25 @@ describe('codegen', () => {
     )
   })
 
+  // slot codegen is shared with the SSR optimizing compiler
+  it('generate slots and scoped slots without SSR optimization', () => {
+    assertCodegen(
+      '<div><slot name="foo" :bar="bar"><span>{{ fallback }}</span></slot></div>',
+      `with(this){return _c('div',[_t("foo",[_c('span',[_v(_s(fallback))])],{"bar":bar})],2)}`
+    )
+    assertCodegen(
+      '<foo>' +
+        '<template v-for="item in items" v-slot:[item.name]="{ msg }"><span>{{ msg }}</span></template>' +
+        '<template v-if="ok" #bar>bar</template>' +
+        '<div v-else slot-scope="s" slot="baz">{{ s }}</div>' +
+      '</foo>',
+      `with(this){return _c('foo',{scopedSlots:_u([` +
+        `_l((items),function(item){return {key:item.name,fn:function({ msg }){return [_c('span',[_v(_s(msg))])]}}}),` +
+        `(ok)?{key:"bar",fn:function(){return [_v("bar")]},proxy:true}:{key:"baz",fn:function(s){return _c('div',{},[_v(_s(s))])}}` +
+      `],null,true)})}`
+    )
+  })
+
   it('generate slot target', () => {
     assertCodegen(
       '<p slot="one">hello world</p>',
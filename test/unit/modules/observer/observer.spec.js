@@ -176,6 +176,26 @@ describe('Observer', () => {
     expect(arr[1].__ob__ instanceof Observer).toBe(true)
   })
 
+  it('create on collections', () => {
+    const map = new Map([['a', {}]])
+    const set = new Set([{}])
+    const ob1 = observe(map)
+    expect(ob1 instanceof Observer).toBe(true)
+    expect(map.__ob__).toBe(ob1)
+    expect(map instanceof Map).toBe(true)
+    // should've walked values
+    expect(map.get('a').__ob__ instanceof Observer).toBe(true)
+    observe(set)
+    set.forEach(item => {
+      expect(item.__ob__ instanceof Observer).toBe(true)
+    })
+    expect(observe(new WeakMap()) instanceof Observer).toBe(true)
+    expect(observe(new WeakSet()) instanceof Observer).toBe(true)
+    // subclasses are left as is
+    class Registry extends Map {}
+    expect(observe(new Registry())).toBeUndefined()
+  })
+
   it('observing object prop change', () => {
     const obj = { a: { b: 2 }, c: NaN }
     observe(obj)
@@ -344,6 +364,127 @@ describe('Observer', () => {
     })
   })
 
+  it('observing collection mutation', () => {
+    const map = new Map()
+    const set = new Set()
+    const mapDep = observe(map).dep
+    const setDep = observe(set).dep
+    spyOn(mapDep, 'notify')
+    spyOn(setDep, 'notify')
+    const objs = [{}, {}]
+    map.set('a', objs[0])
+    map.set('a', objs[0]) // same value
+    map.set('b', NaN)
+    map.set('b', NaN) // same value
+    map.delete('b')
+    map.delete('b') // missing key
+    map.clear()
+    map.clear() // already empty
+    expect(mapDep.notify.calls.count()).toBe(4)
+    set.add(objs[1])
+    set.add(objs[1]) // existing item
+    set.delete(objs[1])
+    set.clear() // already empty
+    expect(setDep.notify.calls.count()).toBe(2)
+    // inserted values should be observed
+    objs.forEach(obj => {
+      expect(obj.__ob__ instanceof Observer).toBe(true)
+    })
+  })
+
+  it('collecting collection dependencies', () => {
+    const map = new Map([['a', []]])
+    const ob = observe(map)
+    const list = map.get('a')
+    const watcher = { addDep: jasmine.createSpy('addDep') }
+    Dep.target = watcher
+    map.get('a')
+    map.size
+    map.forEach(() => {})
+    Dep.target = null
+    expect(watcher.addDep.calls.allArgs()).toEqual([
+      [ob.dep], [list.__ob__.dep],
+      [ob.dep],
+      [ob.dep], [list.__ob__.dep]
+    ])
+  })
+
+  describe('with proxyReactivity', () => {
+    beforeEach(() => {
+      Vue.config.proxyReactivity = true
+    })
+
+    afterEach(() => {
+      Vue.config.proxyReactivity = false
+    })
+
+    it('observing array index and length changes', () => {
+      const state = Vue.reactive({ list: [1, 2] })
+      const spy = jasmine.createSpy('effect')
+      Vue.watchEffect(() => spy(state.list.join()), { flush: 'sync' })
+      expect(Array.isArray(state.list)).toBe(true)
+      state.list[0] = 3
+      state.list[0] = 3 // same value
+      state.list[2] = 4
+      state.list.length = 1
+      state.list.push(5)
+      expect(spy.calls.allArgs()).toEqual([
+        ['1,2'], ['3,2'], ['3,2,4'], ['3'], ['3,5']
+      ])
+      // inserted elements should be observed and stored raw
+      const obj = {}
+      state.list[1] = obj
+      state.list.push(state.list[1])
+      const raw = state.list.__ob__.value
+      expect(obj.__ob__ instanceof Observer).toBe(true)
+      expect(raw[1]).toBe(obj)
+      expect(raw[2]).toBe(obj)
+    })
+
+    it('should find raw and proxied items with identity array methods', () => {
+      const state = Vue.reactive({ items: [] })
+      const o = {}
+      state.items.push(o)
+      const proxied = state.items[0]
+      expect(proxied).not.toBe(o)
+      expect(state.items.indexOf(o)).toBe(0)
+      expect(state.items.indexOf(proxied)).toBe(0)
+      expect(state.items.lastIndexOf(o)).toBe(0)
+      expect(state.items.includes(o)).toBe(true)
+      expect(state.items.includes(proxied)).toBe(true)
+      expect(state.items.indexOf({})).toBe(-1)
+      expect(state.items.includes({})).toBe(false)
+      // searches are tracked
+      const spy = jasmine.createSpy('effect')
+      Vue.watchEffect(() => spy(state.items.indexOf(o)), { flush: 'sync' })
+      state.items.unshift(1)
+      expect(spy.calls.allArgs()).toEqual([[0], [1]])
+    })
+
+    it('observing property addition and deletion', () => {
+      const state = Vue.reactive({ nested: {} })
+      const spy = jasmine.createSpy('effect')
+      Vue.watchEffect(() => spy(Object.keys(state.nested).join(), state.nested.a), { flush: 'sync' })
+      state.nested.a = 1
+      state.nested.a = 2
+      delete state.nested.a
+      expect(spy.calls.allArgs()).toEqual([
+        ['', undefined], ['a', 1], ['a', 2], ['', undefined]
+      ])
+      // added properties are reactive on the raw object as well
+      state.nested.b = {}
+      expect(hasOwn(state.nested.__ob__.value, 'b')).toBe(true)
+      expect(state.nested.b.__ob__ instanceof Observer).toBe(true)
+    })
+
+    it('should not create proxies when disabled', () => {
+      Vue.config.proxyReactivity = false
+      const state = { list: [] }
+      expect(Vue.reactive(state)).toBe(state)
+      expect(observe(state.list).proxy).toBeUndefined()
+    })
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
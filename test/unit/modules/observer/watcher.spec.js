@@ -118,6 +118,32 @@ describe('Watcher', () => {
     }).then(done)
   })
 
+  it('deep watch collections', done => {
+    vm = new Vue({
+      data: {
+        users: new Map([[1, { name: 'a' }]]),
+        tags: new Set()
+      }
+    })
+    new Watcher(vm, 'users', spy, {
+      deep: true
+    })
+    vm.users.get(1).name = 'b'
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(vm.users, vm.users)
+      expect(spy.calls.count()).toBe(1)
+      vm.users.set(2, { name: 'c' })
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+      vm.users.get(2).name = 'd'
+    }).then(() => {
+      expect(spy.calls.count()).toBe(3)
+      vm.tags.add('x')
+    }).then(() => {
+      expect(spy.calls.count()).toBe(3)
+    }).then(done)
+  })
+
   it('fire change for prop addition/deletion in non-deep mode', done => {
     new Watcher(vm, 'b', spy)
     Vue.set(vm.b, 'e', 123)
@@ -0,0 +1,33 @@
+import { ssrCompile } from 'web/server/compiler'
+
+describe('SSR optimizer', () => {
+  it('optimizes the slot contents of components', () => {
+    const { render } = ssrCompile(`<div><comp><p>{{ msg }}</p></comp></div>`)
+    expect(render).toContain(`_c('comp',[_ssrNode(function(_ssrSlotScope){`)
+    expect(render).toContain(`"<p"+_ssrSlotScope+">"+_ssrEscape(_s(msg))+"</p>"`)
+  })
+
+  it('keeps slot targets as vnodes', () => {
+    const { render } = ssrCompile(`<comp><span slot="head">head</span></comp>`)
+    expect(render).toContain(`_c('span',{attrs:{"slot":"head"},slot:"head"}`)
+  })
+
+  it('optimizes scoped slots', () => {
+    const { render } = ssrCompile(
+      `<comp><template v-slot="{ item }"><p>{{ item }}</p></template></comp>`
+    )
+    expect(render).toContain(`fn:function({ item }){return [_ssrNode(`)
+  })
+
+  it('optimizes slot fallback content', () => {
+    const { render } = ssrCompile(`<div><slot><p>fallback</p></slot></div>`)
+    expect(render).toContain(`_t("default",[_ssrNode("<p>fallback</p>")])`)
+  })
+
+  it('bails on inline templates and select v-model', () => {
+    expect(ssrCompile(`<div><comp inline-template><p>{{ a }}</p></comp></div>`).render)
+      .toContain(`inlineTemplate:`)
+    expect(ssrCompile(`<div><select v-model="a"><option>1</option></select></div>`).render)
+      .not.toContain(`_ssrNode("<option`)
+  })
+})
@@ -0,0 +1,66 @@
+import { SourceMapConsumer } from 'source-map'
+import { compileTemplate } from 'sfc/compile-template'
+
+describe('Single File Component template compiler', () => {
+  it('should generate client and server render functions', () => {
+    const res = compileTemplate('<div><p>{{ msg }}</p><span v-once>static</span></div>')
+    expect(res.errors).toEqual([])
+    expect(res.render).toContain(`_c('div'`)
+    expect(res.staticRenderFns.length).toBe(1)
+    expect(res.ssrRender).toContain(`_ssrNode("<p>"+_ssrEscape(_s(msg))+"</p><span>static</span>")`)
+    expect(res.code).toContain('var render = function () {')
+    expect(res.code).toContain('var staticRenderFns = [function () {')
+    expect(res.code).toContain('var ssrRender = function () {')
+    expect(res.code).toContain('var ssrStaticRenderFns = [')
+    // source map marks are not part of the code
+    expect(res.code).not.toContain('@vue-map')
+  })
+
+  it('should skip server render functions with ssr: false', () => {
+    const res = compileTemplate('<div>{{ msg }}</div>', { ssr: false })
+    expect(res.ssrRender).toBeUndefined()
+    expect(res.code).not.toContain('ssrRender')
+  })
+
+  it('should report errors with ranges', () => {
+    const res = compileTemplate('<div>{{ a. }}</div>')
+    expect(res.errors.length).toBe(1)
+    expect(res.errors[0].start).toBe(5)
+  })
+
+  it('should map generated elements to the template', () => {
+    const source = `<template>\n  <div>\n    <p>{{ msg }}</p>\n  </div>\n</template>\n`
+    const start = source.indexOf('>') + 1
+    const template = source.slice(start, source.indexOf('</template>'))
+    const res = compileTemplate(template, {
+      filename: 'App.vue',
+      source,
+      start
+    })
+    expect(res.map.sources).toEqual(['App.vue'])
+    expect(res.map.sourcesContent).toEqual([source])
+
+    const consumer = new SourceMapConsumer(res.map)
+    const lines = res.code.split('\n')
+    const findOriginal = (line, code) => consumer.originalPositionFor({
+      line,
+      column: lines[line - 1].indexOf(code)
+    })
+    const renderLine = lines.findIndex(l => l.startsWith('var render')) + 1
+    expect(findOriginal(renderLine, `_c('div'`)).toEqual(jasmine.objectContaining({
+      source: 'App.vue',
+      line: 2,
+      column: 2
+    }))
+    expect(findOriginal(renderLine, `_c('p'`)).toEqual(jasmine.objectContaining({
+      source: 'App.vue',
+      line: 3,
+      column: 4
+    }))
+    const ssrLine = lines.findIndex(l => l.startsWith('var ssrRender')) + 1
+    expect(findOriginal(ssrLine, `_c('div'`)).toEqual(jasmine.objectContaining({
+      line: 2,
+      column: 2
+    }))
+  })
+})
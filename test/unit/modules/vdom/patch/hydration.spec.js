@@ -388,4 +388,297 @@ describe('vdom patch: hydration', () => {
       expect(dom.children[0].className).toBe('bar')
     }).then(done)
   })
+
+  it('should skip hydration of server-only subtrees', done => {
+    const dom = createMockSSRDOM('<span>1</span><section data-server-only="true"><p>static</p></section>')
+    const created = jasmine.createSpy('created')
+
+    const vm = new Vue({
+      data: {
+        msg: 1,
+        show: true
+      },
+      template: `<div><span>{{ msg }}</span><static-content v-if="show"></static-content></div>`,
+      components: {
+        staticContent: {
+          serverOnly: true,
+          created,
+          template: `<section><p>different</p></section>`
+        }
+      }
+    }).$mount(dom)
+
+    expect(created).not.toHaveBeenCalled()
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    vm.msg = 2
+    waitForUpdate(() => {
+      expect(dom.innerHTML).toBe('<span>2</span><section data-server-only="true"><p>static</p></section>')
+      vm.show = false
+    }).then(() => {
+      expect(dom.innerHTML).toBe('<span>2</span><!---->')
+    }).then(done)
+  })
+
+  it('should hydrate islands on their own', done => {
+    const root = document.createElement('div')
+    root.innerHTML =
+      '<section data-server-only="true">' +
+        '<button data-island="counter" data-island-props="{&quot;start&quot;:5}">5</button>' +
+      '</section>'
+    const counter = {
+      props: ['start'],
+      data () {
+        return { count: this.start }
+      },
+      template: `<button @click="count++">{{ count }}</button>`
+    }
+
+    const islands = Vue.hydrateIslands({ counter }, root)
+    expect(islands.length).toBe(1)
+    expect(islands[0].$el).toBe(root.querySelector('button'))
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    triggerEvent(islands[0].$el, 'click')
+    waitForUpdate(() => {
+      expect(root.querySelector('button').textContent).toBe('6')
+    }).then(done)
+  })
+
+  it('should delay hydration until interaction', done => {
+    const dom = createMockSSRDOM('<button>5</button>')
+    const created = jasmine.createSpy('created')
+
+    const vm = new Vue({
+      template: `<div><counter></counter></div>`,
+      components: {
+        counter: {
+          lazyHydrate: 'interaction',
+          data: () => ({ count: 5 }),
+          created,
+          template: `<button @click="count++">{{ count }}</button>`
+        }
+      }
+    }).$mount(dom)
+
+    const outer = jasmine.createSpy('outer')
+    dom.addEventListener('click', outer)
+
+    expect(created).not.toHaveBeenCalled()
+    let event
+    triggerEvent(dom.children[0], 'click', e => { event = e })
+    // the triggering event is stopped
+    expect(event.defaultPrevented).toBe(true)
+    expect(outer).not.toHaveBeenCalled()
+    waitForUpdate(() => {
+      expect(created).toHaveBeenCalled()
+      expect(vm.$children.length).toBe(1)
+      expect(vm.$children[0].$el).toBe(dom.children[0])
+    }).then(() => {
+      // and replayed after hydration
+      expect(dom.innerHTML).toBe('<button>6</button>')
+      expect(outer.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should hydrate on touchstart without cancelling it', done => {
+    const dom = createMockSSRDOM('<button>5</button>')
+    const created = jasmine.createSpy('created')
+
+    new Vue({
+      template: `<div><counter></counter></div>`,
+      components: {
+        counter: {
+          lazyHydrate: 'interaction',
+          created,
+          template: `<button>5</button>`
+        }
+      }
+    }).$mount(dom)
+
+    const outer = jasmine.createSpy('outer')
+    dom.addEventListener('touchstart', outer)
+
+    let event
+    triggerEvent(dom.children[0], 'touchstart', e => { event = e })
+    expect(event.defaultPrevented).toBe(false)
+    expect(outer.calls.count()).toBe(1)
+    waitForUpdate(() => {
+      expect(created).toHaveBeenCalled()
+      // not replayed
+      expect(outer.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should render on the client when lazily hydrated content mismatches', done => {
+    const dom = createMockSSRDOM('<button>5</button>')
+
+    const vm = new Vue({
+      template: `<div><counter></counter></div>`,
+      components: {
+        counter: {
+          lazyHydrate: 'interaction',
+          template: `<a>5</a>`
+        }
+      }
+    }).$mount(dom)
+
+    expect(dom.innerHTML).toBe('<button>5</button>')
+    triggerEvent(dom.children[0], 'click')
+    waitForUpdate(() => {
+      expect('not matching server-rendered content').toHaveBeenWarned()
+      expect(dom.innerHTML).toBe('<a>5</a>')
+      expect(vm.$children[0].$el).toBe(dom.children[0])
+    }).then(done)
+  })
+
+  it('should delay hydration until idle', done => {
+    const dom = createMockSSRDOM('<p>idle</p>')
+    const mounted = jasmine.createSpy('mounted')
+
+    new Vue({
+      template: `<div><lazy></lazy></div>`,
+      components: {
+        lazy: {
+          lazyHydrate: 'idle',
+          mounted,
+          template: `<p>idle</p>`
+        }
+      }
+    }).$mount(dom)
+
+    expect(mounted).not.toHaveBeenCalled()
+    setTimeout(() => {
+      waitForUpdate(() => {
+        expect(mounted).toHaveBeenCalled()
+        expect('not matching server-rendered content').not.toHaveBeenWarned()
+      }).then(done)
+    }, 50)
+  })
+
+  it('should tear down pending lazy hydration on destroy', () => {
+    const dom = createMockSSRDOM('<button>5</button>')
+    const created = jasmine.createSpy('created')
+
+    const vm = new Vue({
+      template: `<div><counter></counter></div>`,
+      components: {
+        counter: {
+          lazyHydrate: 'interaction',
+          created,
+          template: `<button>5</button>`
+        }
+      }
+    }).$mount(dom)
+
+    vm.$destroy()
+    triggerEvent(dom.children[0], 'click')
+    expect(created).not.toHaveBeenCalled()
+  })
+
+  it('should warn unknown lazyHydrate triggers', () => {
+    const dom = createMockSSRDOM('<p>foo</p>')
+    new Vue({
+      template: `<div><lazy></lazy></div>`,
+      components: {
+        lazy: {
+          lazyHydrate: 'never',
+          template: `<p>foo</p>`
+        }
+      }
+    }).$mount(dom)
+    expect('Unknown lazyHydrate trigger "never"').toHaveBeenWarned()
+  })
+
+  describe('hydrationMismatchHandler', () => {
+    let reports
+    beforeEach(() => {
+      reports = []
+      Vue.config.hydrationMismatchHandler = (mismatch, vm) => {
+        reports.push({ mismatch, vm })
+      }
+    })
+    afterEach(() => {
+      Vue.config.hydrationMismatchHandler = null
+    })
+
+    it('should report mismatching nodes with the component path', () => {
+      const dom = createMockSSRDOM('<div id="a" class="foo" style="color:red"><i></i></div>')
+      const vm = new Vue({
+        template: `<div><child></child></div>`,
+        components: {
+          child: {
+            name: 'child',
+            template: `<div id="a" class="foo" style="color:red"><b></b></div>`
+          }
+        }
+      }).$mount(dom)
+
+      expect(reports.length).toBe(1)
+      const { mismatch } = reports[0]
+      expect(reports[0].vm).toBe(vm.$children[0])
+      expect(mismatch.type).toBe('node')
+      expect(mismatch.componentPath).toEqual(['Root', 'child'])
+      expect(mismatch.expected.tag).toBe('b')
+      expect(mismatch.actual.tag).toBe('i')
+      expect(mismatch.node).toBe(dom.querySelector('i'))
+      expect('not matching server-rendered content').toHaveBeenWarned()
+    })
+
+    it('should report missing child nodes once', () => {
+      const dom = createMockSSRDOM('<div id="a" class="foo" style="color:red"></div><p></p>')
+      new Vue({
+        template: `<div><div id="a" class="foo" :style="{ color: 'red' }"><span>1</span></div></div>`
+      }).$mount(dom)
+
+      expect(reports.length).toBe(1)
+      const { mismatch } = reports[0]
+      expect(mismatch.type).toBe('children')
+      expect(mismatch.expected).toEqual({
+        tag: 'div',
+        attrs: {},
+        class: '',
+        style: {},
+        children: 1
+      })
+      expect(mismatch.actual.children).toBe(2)
+      expect('not matching server-rendered content').toHaveBeenWarned()
+    })
+
+    it('should describe attrs, class and style', () => {
+      const dom = createMockSSRDOM('<p id="a" class="foo" style="color:red"><span></span><i></i></p>')
+      new Vue({
+        template: `<div><p id="a" class="foo" :style="{ color: 'red' }"><span></span></p></div>`
+      }).$mount(dom)
+
+      const { mismatch } = reports[0]
+      expect(mismatch.type).toBe('children')
+      expect(mismatch.expected).toEqual({
+        tag: 'p',
+        attrs: { id: 'a' },
+        class: 'foo',
+        style: { color: 'red' },
+        children: 1
+      })
+      expect(mismatch.actual).toEqual({
+        tag: 'p',
+        attrs: { id: 'a' },
+        class: 'foo',
+        style: { color: 'red' },
+        children: 2
+      })
+    })
+
+    it('should report mismatching text without bailing', () => {
+      const dom = createMockSSRDOM('<span>foo</span>')
+      new Vue({
+        template: `<div><span>bar</span></div>`
+      }).$mount(dom)
+
+      expect(reports.length).toBe(1)
+      expect(reports[0].mismatch.type).toBe('text')
+      expect(reports[0].mismatch.expected.text).toBe('bar')
+      expect(reports[0].mismatch.actual.text).toBe('foo')
+      expect(dom.innerHTML).toBe('<span>bar</span>')
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+    })
+  })
 })
@@ -5,13 +5,16 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  HydrationMismatch,
+  HydrationNodeDescriptor
 } from "./vue";
 
 export {
   Component,
   AsyncComponent,
   ComponentOptions,
+  SetupContext,
   FunctionalComponentOptions,
   RenderContext,
   PropType,
@@ -21,7 +24,9 @@ export {
   WatchOptions,
   WatchOptionsWithHandler,
   DirectiveFunction,
-  DirectiveOptions
+  DirectiveOptions,
+  HeadTag,
+  HeadOptions
 } from "./options";
 
 export {
@@ -29,6 +34,17 @@ export {
   PluginObject
 } from "./plugin";
 
+export {
+  Ref,
+  WritableComputedOptions,
+  WatchEffectCleanup,
+  WatchEffectOptions,
+  WatchStopHandle,
+  EffectScope,
+  DebuggerEvent,
+  DebuggerEventType
+} from "./reactivity";
+
 export {
   VNodeChildren,
   VNodeChildrenArrayContents,
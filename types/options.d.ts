@@ -1,5 +1,6 @@
 import { Vue, CreateElement, CombinedVueInstance } from "./vue";
 import { VNode, VNodeData, VNodeDirective, NormalizedScopedSlot } from "./vnode";
+import { DebuggerEvent } from "./reactivity";
 
 type Constructor = {
   new (...args: any[]): any;
@@ -31,6 +32,7 @@ export type AsyncComponentFactory<Data=DefaultData<never>, Methods=DefaultMethod
   error?: Component | EsModuleComponent;
   delay?: number;
   timeout?: number;
+  serverPlaceholder?: (createElement: CreateElement) => VNode | undefined;
 }
 
 /**
@@ -77,6 +79,9 @@ export interface ComponentOptions<
   computed?: Accessors<Computed>;
   methods?: Methods;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any> | string>;
+  // runs while the state is initialized: after props are resolved, before
+  // methods, data and computed, which can use the returned bindings
+  setup?(this: void, props: Props, ctx: SetupContext): object | void;
 
   el?: Element | string;
   template?: string;
@@ -84,6 +89,8 @@ export interface ComponentOptions<
   render?(createElement: CreateElement, hack: RenderContext<Props>): VNode;
   renderError?(createElement: CreateElement, err: Error): VNode;
   staticRenderFns?: ((createElement: CreateElement) => VNode)[];
+  ssrRender?(createElement: CreateElement): VNode;
+  ssrStaticRenderFns?: ((createElement: CreateElement) => VNode)[];
 
   beforeCreate?(this: V): void;
   created?(): void;
@@ -97,6 +104,10 @@ export interface ComponentOptions<
   deactivated?(): void;
   errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  // development only
+  renderTracked?(event: DebuggerEvent): void;
+  renderTriggered?(event: DebuggerEvent): void;
+  serverPlaceholder?(this: V, createElement: CreateElement): VNode | undefined;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -119,6 +130,17 @@ export interface ComponentOptions<
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  serverOnly?: boolean;
+  lazyHydrate?: 'visible' | 'idle' | 'interaction';
+  island?: boolean;
+  head?: HeadOptions | (() => HeadOptions);
+}
+
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: NormalizedScopedSlot | undefined };
+  emit(event: string, ...args: any[]): void;
 }
 
 export interface FunctionalComponentOptions<Props = DefaultProps, PropDefs = PropsDefinition<Props>> {
@@ -174,6 +196,9 @@ export type WatchHandler<T> = (val: T, oldVal: T) => void;
 export interface WatchOptions {
   deep?: boolean;
   immediate?: boolean;
+  // development only
+  onTrack?(event: DebuggerEvent): void;
+  onTrigger?(event: DebuggerEvent): void;
 }
 
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
@@ -204,3 +229,16 @@ export type InjectKey = string | symbol;
 export type InjectOptions = {
   [key: string]: InjectKey | { from?: InjectKey, default?: any }
 } | string[];
+
+export interface HeadTag {
+  key?: string;
+  innerHTML?: string;
+  [attr: string]: string | number | boolean | null | undefined;
+}
+
+export interface HeadOptions {
+  title?: string;
+  meta?: HeadTag[];
+  link?: HeadTag[];
+  script?: HeadTag[];
+}
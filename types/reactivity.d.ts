@@ -0,0 +1,41 @@
+export interface Ref<T = any> {
+  value: T;
+}
+
+export interface WritableComputedOptions<T> {
+  get(): T;
+  set(value: T): void;
+}
+
+export type WatchEffectCleanup = (fn: () => void) => void;
+
+export interface WatchEffectOptions {
+  flush?: "pre" | "sync";
+}
+
+export type WatchStopHandle = () => void;
+
+export interface EffectScope {
+  active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
+
+export type DebuggerEventType =
+  | "get"
+  | "has"
+  | "iterate"
+  | "set"
+  | "add"
+  | "delete"
+  | "clear"
+  | "array mutation";
+
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  type: DebuggerEventType;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+}
@@ -232,6 +232,10 @@ Vue.component('component', {
     return createElement('pre', { style: { color: 'red' }}, err.stack)
   },
   staticRenderFns: [],
+  ssrRender(createElement) {
+    return createElement("div", "message");
+  },
+  ssrStaticRenderFns: [],
 
   beforeCreate() {
     (this as any).a = 1;
@@ -254,6 +258,9 @@ Vue.component('component', {
   serverPrefetch () {
     return Promise.resolve()
   },
+  serverPlaceholder (h) {
+    return h('div', 'loading')
+  },
 
   directives: {
     a: {
@@ -316,6 +323,45 @@ Vue.component('provide-inject', {
   }
 })
 
+Vue.component('server-only', {
+  serverOnly: true,
+  render: h => h('div')
+})
+
+Vue.component('lazy-hydrate', {
+  lazyHydrate: 'visible',
+  render: h => h('div')
+})
+
+Vue.component('island', {
+  name: 'island',
+  island: true,
+  props: ['count'],
+  render (h) {
+    return h('button', this.count)
+  }
+})
+
+Vue.component('static-head', {
+  head: {
+    title: 'Home',
+    meta: [{ name: 'description', content: 'home page' }],
+    link: [{ rel: 'canonical', href: '/' }]
+  },
+  render: h => h('div')
+})
+
+Vue.component('reactive-head', {
+  props: ['title'],
+  head () {
+    return {
+      title: this.title,
+      script: [{ key: 'ld', type: 'application/ld+json', innerHTML: '{}' }]
+    }
+  },
+  render: h => h('div')
+})
+
 Vue.component('provide-function', {
   provide: () => ({
     foo: 1
@@ -478,3 +524,33 @@ Vue.component('functional-component-v-model', {
 
 
 Vue.component('async-es-module-component', () => import('./es-module'))
+
+Vue.component('setup-component', {
+  props: {
+    start: Number
+  },
+  setup(props, { attrs, listeners, slots, emit }) {
+    const count = Vue.ref(props.start)
+    Vue.onMounted(() => {
+      emit('mounted', attrs.title, listeners.click, slots.default)
+    })
+    Vue.onErrorCaptured((err, vm, info) => false)
+    return { count }
+  }
+});
+
+Vue.component('debug-component', {
+  renderTracked(e) {
+    const type: string = e.type
+  },
+  renderTriggered({ target, key, newValue, oldValue }) {},
+  watch: {
+    a: {
+      handler() {},
+      onTrigger(e) {}
+    }
+  },
+  setup() {
+    Vue.onRenderTriggered(e => e.key)
+  }
+});
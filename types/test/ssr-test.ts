@@ -1,9 +1,19 @@
 import Vue, { VNode, VNodeDirective } from '../index';
 import VueSSRClientPlugin = require('../../packages/vue-server-renderer/client-plugin');
 import VueSSRServerPlugin = require('../../packages/vue-server-renderer/server-plugin');
+import VueSSRRollupClientPlugin = require('../../packages/vue-server-renderer/rollup-client-plugin');
+import VueSSRRollupServerPlugin = require('../../packages/vue-server-renderer/rollup-server-plugin');
+import { Plugin as RollupPlugin } from 'rollup';
 import webpack = require('webpack');
 import { readFileSync } from 'fs';
-import { createRenderer, createBundleRenderer } from '../../packages/vue-server-renderer';
+import {
+  createRenderer,
+  createBundleRenderer,
+  createComponentCache,
+  RenderStateEntry,
+  ResourceHint
+} from '../../packages/vue-server-renderer';
+import { createStateSerializer, reviveState } from '../../packages/vue-server-renderer/state';
 
 function createApp (context: any) {
   return new Vue({
@@ -58,6 +68,13 @@ renderer.renderToStream(app, context).on('data', chunk => {
   const html = chunk.toString();
 });
 
+const webStream: ReadableStream = renderer.renderToWebStream(app, context);
+
+declare const writable: WritableStream;
+
+renderer.pipeToWritable(app, writable).then(() => {});
+renderer.pipeToWritable(app, context, writable).then(() => {});
+
 // Bundle renderer test
 declare const cacheClient: { [key: string]: string };
 
@@ -103,6 +120,30 @@ bundleRenderer.renderToString(context, (err, html) => {
   const res: string = html;
 });
 
+createRenderer({
+  profile: (report, context) => {
+    const walk = (entry: typeof report): number =>
+      entry.children.reduce((sum, child) => sum + walk(child), entry.duration);
+    console.log(report.name, walk(report), context);
+  }
+});
+createRenderer({ profile: true });
+createRenderer({ timeout: 200 });
+
+const componentCache = createComponentCache({ max: 1000, ttl: 60 * 1000 });
+createRenderer({ cache: componentCache });
+componentCache.set('key', 'html', { ttl: 1000, tags: ['product:42'] });
+const purged: number = componentCache.invalidate(['product:42']);
+const hits: number = componentCache.getStats().hits;
+
+createBundleRenderer('/path/to/vue-ssr-server-bundle.json', {
+  runInNewContext: 'pool',
+  contextPoolSize: 4
+});
+
+bundleRenderer.update('/path/to/vue-ssr-server-bundle.json');
+bundleRenderer.update(undefined, { publicPath: '/' }, '<!--vue-ssr-outlet-->');
+
 bundleRenderer.renderToString().then(html => {
   const res: string = html;
 });
@@ -115,6 +156,10 @@ bundleRenderer.renderToStream(context).on('data', chunk => {
   const html = chunk.toString();
 });
 
+const bundleWebStream: ReadableStream = bundleRenderer.renderToWebStream(context);
+
+bundleRenderer.pipeToWritable(context, writable).then(() => {});
+
 // webpack plugins
 webpack({
   plugins: [
@@ -126,3 +171,49 @@ webpack({
     })
   ]
 });
+
+// rollup plugins
+const rollupPlugins: RollupPlugin[] = [
+  VueSSRRollupClientPlugin({
+    filename: 'client-manifest.json',
+    publicPath: '/dist/'
+  }),
+  VueSSRRollupServerPlugin({
+    filename: 'server-bundle.json'
+  })
+];
+
+// state transfer
+class User {
+  constructor (public name: string) {}
+}
+
+const stateRenderer = createBundleRenderer('/path/to/vue-ssr-server-bundle.json', {
+  serializer: createStateSerializer({ classes: { User } })
+});
+
+const revived = reviveState<{ user: User }>((window as any).__INITIAL_STATE__, {
+  classes: { User }
+});
+const userName: string = revived.user.name;
+
+const states: Record<string, RenderStateEntry> = {
+  __VUEX_STATE__: { value: { count: 1 } },
+  'apollo-state': { value: () => ({}), type: 'json' },
+  __FLAGS__: { value: { beta: true }, stream: true, serializer: JSON.stringify }
+};
+renderer.renderToString(app, { states });
+
+const criticalRenderer = createBundleRenderer('/path/to/vue-ssr-server-bundle.json', {
+  clientManifest: {},
+  criticalCSS: {
+    basedir: '/path/to/dist',
+    readFile: file => readFileSync(file, 'utf-8')
+  }
+});
+
+renderer.renderToString(app, {
+  onResourceHints (hints: ResourceHint[], linkHeader: string) {
+    const preloads = hints.filter(hint => hint.rel === 'preload').map(hint => hint.href);
+  }
+});
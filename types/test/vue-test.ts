@@ -44,6 +44,10 @@ class Test extends Vue {
       deep: false
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watch("a", () => {}, {
+      onTrack: e => e.target,
+      onTrigger: e => e.newValue
+    });
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -72,8 +76,16 @@ class Test extends Vue {
         vm.testMethods();
       }
     };
+    config.hydrationMismatchHandler = (mismatch, vm) => {
+      const path: string = mismatch.componentPath.join(' > ');
+      const tag: string = mismatch.expected.tag;
+      if (mismatch.type === 'children' && mismatch.actual) {
+        console.log(path, tag, mismatch.actual.children);
+      }
+    };
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
+    config.proxyReactivity = true;
     config.async = false
   }
 
@@ -214,6 +226,27 @@ class Decorated extends Vue {
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+const scope = Vue.effectScope()
+scope.run(() => {
+  const state = Vue.reactive({ items: new Map<number, string>() })
+  const count = Vue.ref(0)
+  const double = Vue.computed(() => count.value * 2)
+  const writable = Vue.computed({
+    get: () => count.value,
+    set: (value: number) => { count.value = value }
+  })
+  writable.value = 1
+  const stop = Vue.watchEffect(onCleanup => {
+    const size: number = state.items.size + double.value
+    onCleanup(() => {})
+  }, { flush: 'sync' })
+  stop()
+})
+scope.stop()
+
+const islands: Vue[] = Vue.hydrateIslands({ counter: Vue.extend({ props: ['start'] }) })
+Vue.hydrateIslands(undefined, document.body)
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
@@ -13,6 +13,15 @@ import {
   WatchOptions,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
+import {
+  Ref,
+  WritableComputedOptions,
+  WatchEffectCleanup,
+  WatchEffectOptions,
+  WatchStopHandle,
+  EffectScope,
+  DebuggerEvent
+} from "./reactivity";
 import { PluginFunction, PluginObject } from "./plugin";
 
 export interface CreateElement {
@@ -64,6 +73,30 @@ export interface Vue {
 export type CombinedVueInstance<Instance extends Vue, Data, Methods, Computed, Props> =  Data & Methods & Computed & Props & Instance;
 export type ExtendedVue<Instance extends Vue, Data, Methods, Computed, Props> = VueConstructor<CombinedVueInstance<Instance, Data, Methods, Computed, Props> & Vue>;
 
+export interface HydrationNodeDescriptor {
+  tag: string;
+  text?: string;
+  html?: string;
+  attrs?: { [key: string]: any };
+  class?: string;
+  style?: { [key: string]: string };
+  children?: number;
+}
+
+export interface HydrationMismatch {
+  type: "node" | "text" | "children" | "innerHTML";
+  message: string;
+  componentPath: string[];
+  file?: string;
+  // described from the vnode: render functions do not keep the template source
+  // range of their elements, so there is no line or column, use file and
+  // componentPath to locate the template
+  expected: HydrationNodeDescriptor;
+  actual: HydrationNodeDescriptor | null;
+  node: Node | null;
+  vnode: VNode;
+}
+
 export interface VueConfiguration {
   silent: boolean;
   optionMergeStrategies: any;
@@ -72,6 +105,8 @@ export interface VueConfiguration {
   performance: boolean;
   errorHandler(err: Error, vm: Vue, info: string): void;
   warnHandler(msg: string, vm: Vue, trace: string): void;
+  hydrationMismatchHandler(mismatch: HydrationMismatch, vm: Vue | undefined): void;
+  proxyReactivity: boolean;
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
   async: boolean;
@@ -121,6 +156,28 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   observable<T>(obj: T): T;
 
+  reactive<T extends object>(target: T): T;
+  ref<T>(value: T): Ref<T>;
+  computed<T>(getter: () => T): Readonly<Ref<T>>;
+  computed<T>(options: WritableComputedOptions<T>): Ref<T>;
+  watchEffect(effect: (onCleanup: WatchEffectCleanup) => void, options?: WatchEffectOptions): WatchStopHandle;
+  effectScope(detached?: boolean): EffectScope;
+
+  onBeforeMount(fn: () => void): void;
+  onMounted(fn: () => void): void;
+  onBeforeUpdate(fn: () => void): void;
+  onUpdated(fn: () => void): void;
+  onBeforeDestroy(fn: () => void): void;
+  onDestroyed(fn: () => void): void;
+  onActivated(fn: () => void): void;
+  onDeactivated(fn: () => void): void;
+  onErrorCaptured(fn: (err: Error, vm: Vue, info: string) => boolean | void): void;
+  onServerPrefetch(fn: () => Promise<any>): void;
+  onRenderTracked(fn: (event: DebuggerEvent) => void): void;
+  onRenderTriggered(fn: (event: DebuggerEvent) => void): void;
+
+  hydrateIslands(components?: { [name: string]: Component<any, any, any, any> }, root?: Document | Element): Vue[];
+
   config: VueConfiguration;
   version: string;
 }